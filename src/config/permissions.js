@@ -0,0 +1,57 @@
+/* =============================================================================
+   🛂 ROLE → PERMISSION MATRIX
+   -----------------------------------------------------------------------------
+   Permissions are "<resource>:<action>" strings checked by requirePermission().
+   Admins implicitly hold every permission.
+   ============================================================================= */
+export const PERMISSIONS = [
+  "posts:write",
+  "categories:manage",
+  "team:write",
+  "about:write",
+  "contact:write",
+  "donations:read",
+  "donations:write",
+  "receipts:read",
+  "members:read",
+  "members:write",
+  "comments:moderate",
+  "users:manage",
+  "roles:assign",
+  "settings:manage",
+  "audit:read",
+  "apikeys:manage",
+  "users:impersonate",
+  "privacy:manage",
+];
+
+// Account-administration permissions stay with people; API keys can only be
+// scoped to the rest.
+const NON_DELEGABLE = [
+  "users:manage",
+  "roles:assign",
+  "settings:manage",
+  "apikeys:manage",
+  "users:impersonate",
+  "privacy:manage",
+];
+export const API_KEY_SCOPES = PERMISSIONS.filter((p) => !NON_DELEGABLE.includes(p));
+
+export const ROLES = {
+  admin: [...PERMISSIONS],
+  editor: ["posts:write", "categories:manage", "team:write", "about:write", "contact:write"],
+  finance: ["donations:read", "donations:write", "receipts:read"],
+  caseworker: ["members:read", "members:write"],
+  moderator: ["comments:moderate"],
+  member: [],
+};
+
+export const ROLE_NAMES = Object.keys(ROLES);
+
+export function permissionsForRole(role) {
+  return ROLES[role] ? [...ROLES[role]] : [];
+}
+
+export function hasPermission(role, permission) {
+  return permissionsForRole(role).includes(permission);
+}
@@ -0,0 +1,21 @@
+/* =============================================================================
+   😊 POST REACTIONS — every reaction the site knows about
+   ============================================================================= */
+// Admins choose which of these are offered (Settings.reactions.enabled); the
+// order here is the order they're shown in.
+export const REACTION_CATALOGUE = {
+  like: { emoji: "❤️", label: "Like" },
+  pray: { emoji: "🙏", label: "Praying" },
+  celebrate: { emoji: "🎉", label: "Celebrate" },
+  support: { emoji: "🤝", label: "Support" },
+  sad: { emoji: "😢", label: "Sad" },
+};
+
+export const REACTION_TYPES = Object.keys(REACTION_CATALOGUE);
+
+export function describeReactions(types) {
+  return REACTION_TYPES.filter((t) => types.includes(t)).map((type) => ({
+    type,
+    ...REACTION_CATALOGUE[type],
+  }));
+}
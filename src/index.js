@@ -8,6 +8,7 @@ import fsSync from "fs";
 import { ensureBaseDirs, UPLOADS_ROOT } from "./utils/media.js";
 import helmet from "helmet";
 import compression from "compression";
+import cookieParser from "cookie-parser";
 import rateLimit from "express-rate-limit";
 import connectDB from "./config/db.js";
 
@@ -22,7 +23,10 @@ import memberRoutes from "./routes/member.js";
 import contactRoutes from "./routes/contact.js";
 import teamRoutes from "./routes/team.js";
 import uploadRoutes from "./routes/upload.js";
+import categoryRoutes from "./routes/categories.js";
 import { verifyFirebaseStorage } from "./utils/firebase.js";
+import { initSetupToken } from "./utils/setup.js";
+import { startPostScheduler } from "./utils/postScheduler.js";
 
 // Initialize app
 const app = express();
@@ -81,6 +85,7 @@ app.use(generalLimiter);
 // Ensure Stripe webhook receives raw body before JSON parsing
 app.use("/api/donations/webhook", express.raw({ type: "application/json" }));
 app.use(express.json({ limit: "20mb" }));
+app.use(cookieParser()); // 🍪 cookie session mode (see utils/cookies.js)
 app.use(morgan("dev"));
 
 /* -------------------------------------------------------------------------- */
@@ -110,10 +115,11 @@ app.use(
 /* -------------------------------------------------------------------------- */
 /* 🚏 API Routes                                                              */
 /* -------------------------------------------------------------------------- */
-// Tighter limits for auth endpoints
+// Tighter limits for auth endpoints (per-account lockout in utils/loginGuard.js
+// handles password guessing, so this only needs to stop floods from one IP)
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
-  max: 20,
+  max: 100,
   standardHeaders: true,
   legacyHeaders: false,
 });
@@ -128,6 +134,7 @@ app.use("/api/contact", contactRoutes);
 app.use("/api/team", teamRoutes);
 app.use("/api/members", memberRoutes);
 app.use("/api/upload", uploadRoutes);
+app.use("/api/categories", categoryRoutes);
 
 /* -------------------------------------------------------------------------- */
 /* 🌍 Root Route                                                              */
@@ -156,6 +163,8 @@ const PORT = process.env.PORT || 5020;
 connectDB()
   .then(() => {
     verifyFirebaseStorage().catch(() => {});
+    initSetupToken().catch((err) => console.error("❌ Setup token init failed:", err.message));
+    startPostScheduler();
     app.listen(PORT, () => {
       console.log(
         `✅ Server running on port ${PORT} — Allowed origins:\n${allowedOrigins.join(
@@ -1,57 +1,199 @@
 import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+import { getJwtSecret, isSessionActive } from "../utils/session.js";
+import { permissionsForRole } from "../config/permissions.js";
+import { isTwoFactorRequired } from "../utils/twoFactor.js";
+import { findActiveApiKey, touchApiKey, apiKeyLimiter } from "../utils/apiKeys.js";
+import { auditImpersonatedRequest } from "../utils/impersonation.js";
+import { readAccessCookie, verifyCsrf } from "../utils/cookies.js";
 
 /* =============================================================================
    🧩 AUTHENTICATION MIDDLEWARE — ULF Secure Edition
    ============================================================================= */
-export function requireAuth(req, res, next) {
-  try {
-    const authHeader = req.headers.authorization || "";
-    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+// Resolves the caller from an X-API-Key header, the Bearer token or the
+// HttpOnly session cookie (Bearer wins when both are present). Returns
+// { user } on success or { status, error } describing why the request is not
+// authenticated.
+async function resolveUser(req) {
+  // 🔑 Machine-to-machine: scoped API key instead of a user session
+  const apiKey = req.get("x-api-key");
+  if (apiKey) {
+    const key = await findActiveApiKey(apiKey);
+    if (!key) return { status: 401, error: "Invalid, expired or revoked API key" };
+    touchApiKey(key, req);
+    return {
+      user: {
+        id: `api-key:${key._id}`,
+        fullname: key.name,
+        email: null,
+        avatar: "/default-avatar.png",
+        role: "api-key",
+        permissions: [...key.scopes],
+        emailVerified: true,
+        twoFactorEnabled: false,
+        apiKeyId: String(key._id),
+        apiKeyRateLimit: key.rateLimitPerMinute,
+      },
+    };
+  }
 
-    // ✅ Allow dev-mode bypass (local testing only)
-    if (token === "dev-mode" && process.env.NODE_ENV !== "production") {
-      req.user = {
+  const authHeader = req.headers.authorization || "";
+  const bearer = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+  const cookieToken = bearer ? null : readAccessCookie(req);
+  const token = bearer || cookieToken;
+
+  // ✅ Allow dev-mode bypass (local testing only)
+  if (token === "dev-mode" && process.env.NODE_ENV !== "production") {
+    return {
+      user: {
         id: "foundation-admin",
         fullname: "Foundation Admin",
         avatar: "/default-avatar.png",
         role: "admin",
-      };
-      return next();
-    }
+        permissions: permissionsForRole("admin"),
+      },
+    };
+  }
 
-    // ✅ Reject if missing token (in production)
-    if (!token) {
-      return res.status(401).json({ error: "Authorization token required" });
-    }
+  // ✅ Reject if missing token (in production)
+  if (!token) {
+    return { status: 401, error: "Authorization token required" };
+  }
 
-    // ✅ Fallback secret in dev mode
-    if (!process.env.JWT_SECRET) {
-      console.warn("⚠️ JWT_SECRET not set — using fallback secret (dev mode)");
+  // 🛡️ Cookies are sent automatically, so writes must prove same-origin intent
+  if (cookieToken && !verifyCsrf(req)) {
+    return { status: 403, error: "Invalid or missing CSRF token" };
+  }
+
+  // ✅ Fallback secret in dev mode
+  if (!process.env.JWT_SECRET) {
+    console.warn("⚠️ JWT_SECRET not set — using fallback secret (dev mode)");
+  }
+
+  // ✅ Verify token
+  let payload;
+  try {
+    payload = jwt.verify(token, getJwtSecret());
+  } catch (err) {
+    if (err.name === "TokenExpiredError") {
+      return { status: 401, error: "Session expired, please log in again." };
     }
+    console.error("❌ JWT verification failed:", err.message);
+    return { status: 401, error: "Invalid or missing token" };
+  }
+
+  // ✅ Load session + account state fresh on every request so revocation,
+  //    deactivation and role changes take effect immediately
+  const [sessionActive, user, impersonator] = await Promise.all([
+    isSessionActive(payload.sid),
+    User.findById(payload.id || payload._id)
+      .select("fullname email avatar role isActive emailVerified twoFactor.enabled")
+      .lean(),
+    payload.act ? User.findById(payload.act.id).select("role isActive").lean() : null,
+  ]);
+
+  // ✅ Reject tokens whose session was revoked (logout, logout-all, reuse)
+  if (!sessionActive) {
+    return { status: 401, error: "Session expired, please log in again." };
+  }
+
+  // ✅ Reject deleted or deactivated accounts
+  if (!user || user.isActive === false) {
+    return { status: 401, error: "Account is deactivated or no longer exists" };
+  }
+
+  // 🎭 Impersonation tokens die with the admin's own access
+  if (
+    payload.act &&
+    (!impersonator || impersonator.isActive === false ||
+      !permissionsForRole(impersonator.role).includes("users:impersonate"))
+  ) {
+    return { status: 401, error: "Impersonation is no longer permitted" };
+  }
 
-    // ✅ Verify token
-    const payload = jwt.verify(token, process.env.JWT_SECRET || "dev-secret");
+  const resolved = {
+    id: String(user._id),
+    fullname: user.fullname || "Anonymous User",
+    email: user.email || null,
+    avatar: user.avatar || "/default-avatar.png",
+    role: user.role || "member",
+    permissions: permissionsForRole(user.role),
+    emailVerified: user.emailVerified !== false,
+    twoFactorEnabled: !!user.twoFactor?.enabled,
+    sessionId: payload.sid,
+  };
 
-    req.user = {
-      id: payload.id || payload._id,
-      fullname: payload.fullname || "Anonymous User",
-      email: payload.email || null,
-      avatar: payload.avatar || "/default-avatar.png",
-      role: payload.role || "user",
+  if (payload.act) {
+    resolved.impersonator = {
+      id: String(payload.act.id),
+      fullname: payload.act.fullname,
+      email: payload.act.email,
+      expiresAt: new Date(payload.exp * 1000),
     };
+  }
+
+  // 🔢 Admins must enroll in 2FA before using privileges when policy says so
+  if (!resolved.twoFactorEnabled && (await isTwoFactorRequired(user))) {
+    resolved.twoFactorSetupRequired = true;
+  }
+
+  return { user: resolved };
+}
 
+export async function requireAuth(req, res, next) {
+  try {
+    const { user, status, error } = await resolveUser(req);
+    if (!user) return res.status(status).json({ error });
+    req.user = user;
+    auditImpersonatedRequest(req, res);
+    if (user.apiKeyId) return apiKeyLimiter(req, res, next);
     next();
   } catch (err) {
-    if (err.name === "TokenExpiredError") {
-      return res
-        .status(401)
-        .json({ error: "Session expired, please log in again." });
-    }
-    console.error("❌ JWT verification failed:", err.message);
+    console.error("❌ Authentication failed:", err.message);
     return res.status(401).json({ error: "Invalid or missing token" });
   }
 }
 
+/* =============================================================================
+   👀 OPTIONAL AUTH — identify logged-in users, treat everyone else as a visitor
+   ============================================================================= */
+export async function optionalAuth(req, res, next) {
+  try {
+    if (req.headers.authorization || req.get("x-api-key") || readAccessCookie(req)) {
+      const { user } = await resolveUser(req);
+      if (user) req.user = user;
+    }
+  } catch (err) {
+    // Carry on as a visitor, but don't hide lookup failures (DB, sessions)
+    console.error("❌ Optional authentication failed:", err.message);
+  }
+  auditImpersonatedRequest(req, res);
+  if (req.user?.apiKeyId) return apiKeyLimiter(req, res, next);
+  next();
+}
+
+/* =============================================================================
+   🚫 ACCOUNT ENDPOINTS — API keys act for an integration, not a person
+   ============================================================================= */
+export function rejectApiKey(req, res, next) {
+  if (req.get("x-api-key")) {
+    return res.status(403).json({ error: "API keys cannot be used for account endpoints" });
+  }
+  next();
+}
+
+/* =============================================================================
+   🎭 SENSITIVE ACTIONS — never allowed while an admin is impersonating
+   ============================================================================= */
+export function blockImpersonation(req, res, next) {
+  if (req.user?.impersonator) {
+    return res
+      .status(403)
+      .json({ error: "This action is not available while impersonating a user" });
+  }
+  next();
+}
+
 /* =============================================================================
    🔐 ADMIN-ONLY MIDDLEWARE
    ============================================================================= */
@@ -62,17 +204,56 @@ export function requireAdmin(req, res, next) {
   next();
 }
 
+/* =============================================================================
+   ✉️ VERIFIED-EMAIL MIDDLEWARE — use after requireAuth
+   ============================================================================= */
+export function requireVerifiedEmail(req, res, next) {
+  if (!req.user || req.user.emailVerified === false) {
+    return res
+      .status(403)
+      .json({ error: "Please verify your email address to continue" });
+  }
+  next();
+}
+
+/* =============================================================================
+   🛂 PERMISSION MIDDLEWARE — e.g. requirePermission("donations:read")
+   ============================================================================= */
+export function requirePermission(...permissions) {
+  return function (req, res, next) {
+    if (req.user?.twoFactorSetupRequired) {
+      return res
+        .status(403)
+        .json({ error: "Two-factor authentication must be enabled for this account" });
+    }
+    const granted = req.user?.permissions || permissionsForRole(req.user?.role);
+    const missing = permissions.filter((p) => !granted.includes(p));
+    if (!req.user || missing.length > 0) {
+      return res
+        .status(403)
+        .json({ error: `Missing permission: ${missing.join(", ")}` });
+    }
+    next();
+  };
+}
+
 /* =============================================================================
    🧠 DEV MODE FALLBACK — Injects a fake admin when no token (non-prod only)
    ============================================================================= */
 export function devAuthFallback(req, res, next) {
   if (process.env.NODE_ENV !== "production") {
-    if (!req.user && !req.headers.authorization) {
+    if (
+      !req.user &&
+      !req.headers.authorization &&
+      !req.get("x-api-key") &&
+      !readAccessCookie(req)
+    ) {
       req.user = {
         id: "foundation-admin",
         fullname: "Foundation Admin",
         avatar: "/default-avatar.png",
         role: "admin",
+        permissions: permissionsForRole("admin"),
       };
       console.log("🧩 Dev auth fallback injected fake admin user");
     }
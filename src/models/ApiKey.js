@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+import { API_KEY_SCOPES } from "../config/permissions.js";
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true }, // e.g. "Reporting spreadsheet"
+    scopes: [{ type: String, enum: API_KEY_SCOPES }],
+
+    /* -------------------------------------------------------------------------- */
+    /* 🔑 Key material (only the SHA-256 hash is stored)                          */
+    /* -------------------------------------------------------------------------- */
+    keyHash: { type: String, required: true, unique: true },
+    prefix: { type: String, required: true }, // first characters, for display only
+
+    /* -------------------------------------------------------------------------- */
+    /* 🚦 Limits                                                                  */
+    /* -------------------------------------------------------------------------- */
+    rateLimitPerMinute: { type: Number, default: 60, min: 1, max: 6000 },
+    expiresAt: { type: Date, default: null },
+
+    /* -------------------------------------------------------------------------- */
+    /* 📈 Usage                                                                   */
+    /* -------------------------------------------------------------------------- */
+    lastUsedAt: { type: Date, default: null },
+    lastUsedIp: { type: String, default: "" },
+    usageCount: { type: Number, default: 0 },
+
+    /* -------------------------------------------------------------------------- */
+    /* 👥 Ownership + lifecycle                                                   */
+    /* -------------------------------------------------------------------------- */
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    createdByName: { type: String, default: "" },
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+apiKeySchema.virtual("status").get(function () {
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt && this.expiresAt <= new Date()) return "expired";
+  return "active";
+});
+
+apiKeySchema.set("toJSON", {
+  virtuals: true,
+  transform: (_doc, ret) => {
+    delete ret.keyHash;
+    return ret;
+  },
+});
+
+export default mongoose.model("ApiKey", apiKeySchema);
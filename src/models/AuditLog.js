@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    /* -------------------------------------------------------------------------- */
+    /* 👤 Who                                                                     */
+    /* -------------------------------------------------------------------------- */
+    actor: {
+      id: { type: String, index: true },
+      fullname: { type: String, default: "" },
+      email: { type: String, default: "" },
+      role: { type: String, default: "" },
+    },
+    // Set when the actor was being impersonated: the admin really acting
+    impersonator: {
+      id: { type: String, default: "" },
+      fullname: { type: String, default: "" },
+      email: { type: String, default: "" },
+    },
+
+    /* -------------------------------------------------------------------------- */
+    /* 📝 What                                                                    */
+    /* -------------------------------------------------------------------------- */
+    action: { type: String, required: true, index: true }, // e.g. "post.delete"
+    targetModel: { type: String, default: "", index: true },
+    targetId: { type: String, default: "", index: true },
+    diff: { type: mongoose.Schema.Types.Mixed, default: {} }, // { field: { from, to } }
+    meta: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    /* -------------------------------------------------------------------------- */
+    /* 🌐 Where                                                                   */
+    /* -------------------------------------------------------------------------- */
+    ip: { type: String, default: "" },
+    userAgent: { type: String, default: "" },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ "impersonator.id": 1, createdAt: -1 });
+
+/* -------------------------------------------------------------------------- */
+/* 🔒 Append-only: refuse every update / delete path                          */
+/* -------------------------------------------------------------------------- */
+function refuse(next) {
+  next(new Error("AuditLog is append-only"));
+}
+for (const op of [
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+]) {
+  auditLogSchema.pre(op, refuse);
+}
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return refuse(next);
+  next();
+});
+
+export default mongoose.model("AuditLog", auditLogSchema);
@@ -1,5 +1,10 @@
 import mongoose from "mongoose";
 
+// approved = public · pending = awaiting a moderator · hidden = auto-hidden
+// after visitor reports · rejected = removed by a moderator
+export const COMMENT_STATUSES = ["approved", "pending", "hidden", "rejected"];
+const HIDDEN_STATUSES = COMMENT_STATUSES.filter((s) => s !== "approved");
+
 const commentSchema = new mongoose.Schema(
   {
     postId: {
@@ -9,7 +14,10 @@ const commentSchema = new mongoose.Schema(
     },
     text: {
       type: String,
-      required: true,
+      // Deleted comments with replies stay behind as empty placeholders
+      required: function () {
+        return !this.deletedAt;
+      },
       trim: true,
     },
   author: {
@@ -17,11 +25,46 @@ const commentSchema = new mongoose.Schema(
     avatar: { type: String, default: "/default-avatar.png" },
   },
   ownerId: { type: String, index: true },
+
+  // 🧵 Threading
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Comment",
+    default: null,
+  },
+  depth: { type: Number, default: 0, min: 0 }, // 0 = top-level
+  replyCount: { type: Number, default: 0, min: 0 }, // direct replies only
+
+  // 🏅 Written by foundation staff (shown with an "official reply" badge)
+  isOfficial: { type: Boolean, default: false },
+  deletedAt: { type: Date, default: null },
+
+  // 🛡️ Moderation
+  status: { type: String, enum: COMMENT_STATUSES, default: "approved", index: true },
+  moderation: {
+    flags: [{ type: String }], // why it was held, e.g. "banned-word:foo", "links:4", "reports"
+    reviewedBy: { type: String, default: null },
+    reviewedByName: { type: String, default: null },
+    reviewedAt: { type: Date, default: null },
+    note: { type: String, default: "" },
+  },
+  reportCount: { type: Number, default: 0, min: 0 },
   },
   { timestamps: true }
 );
 
 // Optional: to support quick comment lookups for a post
 commentSchema.index({ postId: 1, createdAt: -1 });
+commentSchema.index({ postId: 1, parentId: 1, createdAt: -1 });
+commentSchema.index({ parentId: 1, createdAt: 1 });
+
+// Deepest nesting level (top-level comments are depth 0)
+export const MAX_COMMENT_DEPTH = 3;
+
+// Only approved comments are public; legacy documents without a status count
+// as approved.
+commentSchema.statics.visibleFilter = function (extra = {}) {
+  return { ...extra, status: { $nin: HIDDEN_STATUSES } };
+};
 
 export default mongoose.model("Comment", commentSchema);
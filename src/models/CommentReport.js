@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+const commentReportSchema = new mongoose.Schema(
+  {
+    commentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      required: true,
+    },
+    postId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+      index: true,
+    },
+    reporterId: {
+      type: String, // user id, or "ip:<hash>" for anonymous reports
+      required: true,
+      index: true,
+    },
+    reason: { type: String, trim: true, maxlength: 500, default: "" },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// ✅ One report per visitor per comment
+commentReportSchema.index({ commentId: 1, reporterId: 1 }, { unique: true });
+
+export default mongoose.model("CommentReport", commentReportSchema);
@@ -6,7 +6,7 @@ const donationSchema = new mongoose.Schema({
   amount: { type: Number, required: true },
   currency: { type: String, default: 'usd' },
   causeType: { type: String, enum: ['beneficiary', 'general'], default: 'general' },
-  memberId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  memberId: { type: mongoose.Schema.Types.ObjectId, ref: 'Member', default: null }, // beneficiary registry record
   reference: String,
   status: { type: String, enum: ['pending', 'succeeded', 'failed'], default: 'pending' },
   stripeSessionId: String,
@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+import { ROLE_NAMES } from "../config/permissions.js";
+
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+      index: true,
+    },
+    fullname: { type: String, required: true, trim: true },
+    role: { type: String, enum: ROLE_NAMES, default: "member" },
+
+    /* -------------------------------------------------------------------------- */
+    /* 🎟️ One-time link (only the SHA-256 hash is stored)                         */
+    /* -------------------------------------------------------------------------- */
+    tokenHash: { type: String, required: true, index: true },
+    expiresAt: { type: Date, required: true },
+    sendCount: { type: Number, default: 1 },
+    lastSentAt: { type: Date, default: Date.now },
+
+    /* -------------------------------------------------------------------------- */
+    /* 👥 Who invited whom                                                        */
+    /* -------------------------------------------------------------------------- */
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    invitedByName: { type: String, default: "" },
+    acceptedUser: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+
+    /* -------------------------------------------------------------------------- */
+    /* 🪪 Lifecycle                                                               */
+    /* -------------------------------------------------------------------------- */
+    acceptedAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+invitationSchema.virtual("status").get(function () {
+  if (this.acceptedAt) return "accepted";
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt <= new Date()) return "expired";
+  return "pending";
+});
+
+invitationSchema.set("toJSON", {
+  virtuals: true,
+  transform: (_doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  },
+});
+
+export default mongoose.model("Invitation", invitationSchema);
@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+const loginEventSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+    email: { type: String, lowercase: true, trim: true, default: "" },
+    success: { type: Boolean, required: true },
+    reason: { type: String, default: "" }, // e.g. "invalid-password", "locked"
+    ip: { type: String, default: "" },
+    userAgent: { type: String, default: "" },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// ✅ Keep six months of login history
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+export default mongoose.model("LoginEvent", loginEventSchema);
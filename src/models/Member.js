@@ -86,9 +86,40 @@ const MemberSchema = new mongoose.Schema(
       enum: ["active", "banned", "inactive"],
       default: "active",
     },
+
+    /* ---------------------------------------------------------------------- */
+    /* 🔗 Linked Login Account */
+    /* ---------------------------------------------------------------------- */
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    linkedAt: { type: Date, default: null },
+    linkedBy: { type: String, default: "" }, // staff user id, or "auto-match"
   },
   { timestamps: true }
 );
 
+// ✅ One registry record per login account (unlinked records are exempt)
+MemberSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { userId: { $type: "objectId" } } }
+);
+
+// Fields a linked member may ask staff to correct on their own record
+export const CORRECTABLE_FIELDS = [
+  "name",
+  "phone",
+  "dateOfBirth",
+  "maritalStatus",
+  "address",
+  "lga",
+  "state",
+  "nationality",
+  "educationLevel",
+  "occupation",
+  "skills",
+  "healthStatus",
+  "numberOfDependents",
+  "supportNeeded",
+];
+
 // ✅ Removed duplicate manual index definitions
 export default mongoose.model("Member", MemberSchema);
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+const memberCorrectionSchema = new mongoose.Schema(
+  {
+    memberId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Member",
+      required: true,
+      index: true,
+    },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+
+    /* -------------------------------------------------------------------------- */
+    /* ✏️ Requested change                                                        */
+    /* -------------------------------------------------------------------------- */
+    changes: { type: mongoose.Schema.Types.Mixed, required: true }, // { field: newValue }
+    note: { type: String, trim: true, maxlength: 1000, default: "" },
+
+    /* -------------------------------------------------------------------------- */
+    /* 🧑‍⚖️ Review                                                                 */
+    /* -------------------------------------------------------------------------- */
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+      index: true,
+    },
+    reviewedBy: { type: String, default: "" },
+    reviewedByName: { type: String, default: "" },
+    reviewedAt: { type: Date, default: null },
+    reviewNote: { type: String, trim: true, maxlength: 1000, default: "" },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("MemberCorrection", memberCorrectionSchema);
@@ -1,4 +1,8 @@
 import mongoose from "mongoose";
+import { slugify } from "../utils/slug.js";
+
+export const POST_STATUSES = ["draft", "scheduled", "published", "unpublished"];
+const HIDDEN_STATUSES = POST_STATUSES.filter((s) => s !== "published");
 
 const postSchema = new mongoose.Schema(
   {
@@ -20,6 +24,7 @@ const postSchema = new mongoose.Schema(
   },
   ],
 
+  // Author's login account (not the Member registry)
   memberId: {
   type: mongoose.Schema.Types.ObjectId,
   ref: "User",
@@ -50,8 +55,131 @@ const postSchema = new mongoose.Schema(
   },
   ],
 
+  // 🏷️ Classification
+  category: {
+  type: mongoose.Schema.Types.ObjectId,
+  ref: "Category",
+  default: null,
+  index: true,
+  },
+  tags: {
+  type: [String],
+  default: [],
+  index: true,
+  },
+
+  // 🔗 Permalink — old slugs are kept so shared links keep working
+  slug: {
+  type: String,
+  unique: true,
+  sparse: true,
+  lowercase: true,
+  trim: true,
+  },
+  previousSlugs: {
+  type: [String],
+  default: [],
+  index: true,
+  },
+
+  // 🔎 SEO / social sharing overrides (defaults are derived from the post)
+  seo: {
+  metaDescription: { type: String, trim: true, maxlength: 300, default: "" },
+  canonicalUrl: { type: String, trim: true, default: "" },
+  socialImage: { type: String, trim: true, default: "" },
+  },
+
+  // 🗓️ Publishing workflow (posts created before this field are published)
+  status: {
+  type: String,
+  enum: POST_STATUSES,
+  default: "published",
+  index: true,
+  },
+  publishAt: { type: Date, default: null }, // when a scheduled post goes live
+  publishedAt: { type: Date, default: null },
+  unpublishedAt: { type: Date, default: null },
+
+  // 🔢 Feed counters, kept current on comment/reaction writes (see utils/postCounters.js)
+  commentsCount: { type: Number, default: 0 },
+  reactionCounts: { type: Map, of: Number, default: {} },
+
   },
   { timestamps: true }
 );
 
+postSchema.index({ status: 1, publishAt: 1 });
+postSchema.index({ publishedAt: -1 });
+postSchema.index({ publishedAt: -1, _id: -1 }); // feed cursor order
+
+postSchema.pre("save", function (next) {
+  if (this.status === "published" && !this.publishedAt) this.publishedAt = new Date();
+  next();
+});
+
+// 🔗 Every post gets a slug the first time it is saved
+postSchema.pre("validate", async function () {
+  if (!this.slug) this.slug = await this.constructor.uniqueSlug(this.title || this.content, this._id);
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🔗 Slugs                                                                   */
+/* -------------------------------------------------------------------------- */
+export function plainText(html) {
+  return String(html || "")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Builds a slug from the title (or the opening words of the content) and
+// appends -2, -3… until it collides with no current or previous slug.
+postSchema.statics.uniqueSlug = async function (source, excludeId) {
+  const words = plainText(source).split(" ").slice(0, 10).join(" ");
+  const base = slugify(words, 60) || "post";
+  for (let n = 1; n < 1000; n++) {
+    const candidate = n === 1 ? base : `${base}-${n}`;
+    const taken = await this.exists({
+      _id: { $ne: excludeId },
+      $or: [{ slug: candidate }, { previousSlugs: candidate }],
+    });
+    if (!taken) return candidate;
+  }
+  return `${base}-${Date.now().toString(36)}`;
+};
+
+// Moves the current slug into the redirect history
+postSchema.methods.changeSlug = function (newSlug) {
+  if (!newSlug || newSlug === this.slug) return;
+  if (this.slug) this.previousSlugs = [...new Set([...this.previousSlugs, this.slug])];
+  this.previousSlugs = this.previousSlugs.filter((s) => s !== newSlug);
+  this.slug = newSlug;
+};
+
+// Tags are free-form but stored normalised so "#Outreach" and "outreach" match
+export function normalizeTags(input) {
+  let list = input;
+  if (typeof input === "string") {
+    try {
+      const parsed = JSON.parse(input);
+      list = Array.isArray(parsed) ? parsed : input.split(",");
+    } catch {
+      list = input.split(",");
+    }
+  }
+  if (!Array.isArray(list)) return [];
+  const tags = list
+    .filter((t) => typeof t === "string")
+    .map((t) => t.trim().replace(/^#+/, "").toLowerCase().replace(/\s+/g, "-").slice(0, 40))
+    .filter(Boolean);
+  return [...new Set(tags)].slice(0, 20);
+}
+
+// Only published posts are public; legacy documents without a status count
+// as published.
+postSchema.statics.publicFilter = function (extra = {}) {
+  return { ...extra, status: { $nin: HIDDEN_STATUSES } };
+};
+
 export default mongoose.model("Post", postSchema);
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+const postRevisionSchema = new mongoose.Schema(
+  {
+    postId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    version: { type: Number, required: true }, // 1, 2, 3… per post
+
+    /* -------------------------------------------------------------------------- */
+    /* 📸 Snapshot of the editable fields after this change                       */
+    /* -------------------------------------------------------------------------- */
+    snapshot: {
+      title: { type: String, default: "" },
+      content: { type: String, default: "" },
+      imageUrls: { type: mongoose.Schema.Types.Mixed, default: [] }, // media references only
+      category: { type: mongoose.Schema.Types.ObjectId, ref: "Category", default: null },
+      tags: { type: [String], default: [] },
+      seo: { type: mongoose.Schema.Types.Mixed, default: {} },
+    },
+
+    /* -------------------------------------------------------------------------- */
+    /* ✍️ Who / why                                                               */
+    /* -------------------------------------------------------------------------- */
+    editor: {
+      id: { type: String, default: "" },
+      fullname: { type: String, default: "" },
+    },
+    reason: {
+      type: String,
+      enum: ["create", "original", "update", "restore"],
+      default: "update",
+    },
+    restoredFrom: { type: Number, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+postRevisionSchema.index({ postId: 1, version: -1 }, { unique: true });
+
+export default mongoose.model("PostRevision", postRevisionSchema);
@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+import { REACTION_TYPES } from "../config/reactions.js";
+
+const reactionSchema = new mongoose.Schema(
+  {
+    postId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    userId: {
+      type: String, // user id, or the hashed visitor id for anonymous visitors
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: REACTION_TYPES,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// ✅ One reaction per visitor per post (changing it replaces the old one)
+reactionSchema.index({ postId: 1, userId: 1 }, { unique: true });
+reactionSchema.index({ postId: 1, type: 1 });
+
+export default mongoose.model("Reaction", reactionSchema);
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    /* -------------------------------------------------------------------------- */
+    /* 🔁 Refresh Token (only the SHA-256 hash is stored, rotated on every use)   */
+    /* -------------------------------------------------------------------------- */
+    refreshTokenHash: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+
+    /* -------------------------------------------------------------------------- */
+    /* 🖥️ Client Info                                                             */
+    /* -------------------------------------------------------------------------- */
+    ip: { type: String, default: "" },
+    userAgent: { type: String, default: "" },
+    lastUsedAt: { type: Date, default: Date.now },
+
+    /* -------------------------------------------------------------------------- */
+    /* 🚫 Revocation                                                              */
+    /* -------------------------------------------------------------------------- */
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, default: "" },
+
+    /* -------------------------------------------------------------------------- */
+    /* 🎭 Impersonation (admin viewing as this user)                              */
+    /* -------------------------------------------------------------------------- */
+    impersonatorId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    impersonationReason: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+// ✅ Let MongoDB clean up sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("Session", sessionSchema);
@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+import { REACTION_TYPES } from "../config/reactions.js";
+
+// Single site-wide settings document (same pattern as About / Contact)
+const settingsSchema = new mongoose.Schema(
+  {
+    /* -------------------------------------------------------------------------- */
+    /* 🔐 Security                                                                */
+    /* -------------------------------------------------------------------------- */
+    security: {
+      requireAdminTwoFactor: { type: Boolean, default: false },
+    },
+
+    /* -------------------------------------------------------------------------- */
+    /* 💬 Comment moderation                                                      */
+    /* -------------------------------------------------------------------------- */
+    comments: {
+      // post = publish immediately, hold only suspicious comments
+      // pre  = hold every visitor comment until a moderator approves it
+      moderationMode: { type: String, enum: ["post", "pre"], default: "post" },
+      bannedWords: [{ type: String, trim: true, lowercase: true }],
+      maxLinks: { type: Number, default: 2, min: 0 },
+      reportThreshold: { type: Number, default: 3, min: 1 },
+    },
+
+    /* -------------------------------------------------------------------------- */
+    /* 😊 Post reactions                                                          */
+    /* -------------------------------------------------------------------------- */
+    reactions: {
+      enabled: { type: [{ type: String, enum: REACTION_TYPES }], default: () => [...REACTION_TYPES] },
+    },
+  },
+  { timestamps: true }
+);
+
+/* -------------------------------------------------------------------------- */
+/* 📄 Fetch (or lazily create) the settings document                          */
+/* -------------------------------------------------------------------------- */
+settingsSchema.statics.current = async function () {
+  const existing = await this.findOne();
+  if (existing) return existing;
+  return this.create({});
+};
+
+export default mongoose.model("Settings", settingsSchema);
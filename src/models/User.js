@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import { ROLE_NAMES } from "../config/permissions.js";
 
 const userSchema = new mongoose.Schema({
   fullname: { type: String, required: true },
@@ -12,19 +13,52 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ["admin", "member"],
+    enum: ROLE_NAMES,
     default: "member",
   },
   avatar: { type: String },
+  phone: { type: String, trim: true, default: "" }, // used to match Member records
   passwordHash: { type: String, required: true },
   isActive: { type: Boolean, default: true },
 
+  /* -------------------------------------------------------------------------- */
+  /* ✉️ Email Verification                                                      */
+  /* -------------------------------------------------------------------------- */
+  // Accounts created by admins (and those predating verification) are trusted;
+  // self-registration explicitly sets this to false.
+  emailVerified: { type: Boolean, default: true },
+  emailVerifiedAt: { type: Date, default: null },
+
+  /* -------------------------------------------------------------------------- */
+  /* 🔢 Two-Factor Authentication (TOTP)                                        */
+  /* -------------------------------------------------------------------------- */
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, default: null },
+    pendingSecret: { type: String, default: null },
+    recoveryCodes: { type: [String], default: [] }, // SHA-256 hashes, single use
+    lastUsedStep: { type: Number, default: 0 }, // refuses replay of the same code
+    enabledAt: { type: Date, default: null },
+  },
+
+  /* -------------------------------------------------------------------------- */
+  /* 🧱 Brute-Force Protection                                                  */
+  /* -------------------------------------------------------------------------- */
+  failedLoginAttempts: { type: Number, default: 0 },
+  lastFailedLoginAt: { type: Date, default: null },
+  lockUntil: { type: Date, default: null },
+
   /* -------------------------------------------------------------------------- */
   /* 🔑 Password Reset Fields                                                   */
   /* -------------------------------------------------------------------------- */
   resetToken: { type: String, default: null },
   resetTokenExpires: { type: Date, default: null },
 
+  /* -------------------------------------------------------------------------- */
+  /* 🎟️ Onboarding                                                              */
+  /* -------------------------------------------------------------------------- */
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+
   /* -------------------------------------------------------------------------- */
   /* 🕒 Metadata                                                                */
   /* -------------------------------------------------------------------------- */
@@ -6,7 +6,8 @@ import fs from "fs/promises";
 import { UPLOADS_ROOT, getPublicBase, extractUploadsRel, generateFilename } from "../utils/media.js";
 import { uploadFileToFirebase, deleteFirebaseFile, gcsPathFromUrl } from "../utils/firebase.js";
 import About from "../models/About.js";
-import { requireAuth } from "../middleware/auth.js";
+import { requireAuth, requirePermission } from "../middleware/auth.js";
+import { recordAudit } from "../utils/audit.js";
 
 const router = express.Router();
 
@@ -69,15 +70,10 @@ router.get("/", async (req, res) => {
 });
 
 /* -------------------------------------------------------------------------- */
-/* 🔸 PUT — Admin Only (Requires Auth + Upload Images to Cloudinary)          */
+/* 🔸 PUT — Content editors (Requires Auth + Upload Images to Cloudinary)     */
 /* -------------------------------------------------------------------------- */
-router.put("/", requireAuth, upload.array("images", 3), async (req, res) => {
+router.put("/", requireAuth, requirePermission("about:write"), upload.array("images", 3), async (req, res) => {
   try {
-    const userRole = req.user?.role;
-    if (userRole !== "admin") {
-      return res.status(403).json({ message: "Access denied — Admins only" });
-    }
-
     const { content } = req.body;
     let uploadedImages = [];
 
@@ -107,6 +103,7 @@ router.put("/", requireAuth, upload.array("images", 3), async (req, res) => {
     }
 
     let about = await About.findOne();
+    const before = about ? about.toObject() : null;
 
     // If About page does not exist, create new one
     if (!about) {
@@ -133,6 +130,7 @@ router.put("/", requireAuth, upload.array("images", 3), async (req, res) => {
     }
 
     await about.save();
+    await recordAudit(req, { action: "about.update", targetModel: "About", targetId: about._id, before, after: about });
 
     const imagesOut = (about.images || []).filter((url) => typeof url === "string");
 
@@ -1,9 +1,25 @@
 import { Router } from "express";
+import mongoose from "mongoose";
 import User from "../models/User.js";
 import Post from "../models/Post.js";
 import Donation from "../models/Donation.js";
-import { requireAuth, requireAdmin } from "../middleware/auth.js";
-import bcrypt from "bcryptjs";
+import Member from "../models/Member.js";
+import Settings from "../models/Settings.js";
+import LoginEvent from "../models/LoginEvent.js";
+import Invitation from "../models/Invitation.js";
+import AuditLog from "../models/AuditLog.js";
+import ApiKey from "../models/ApiKey.js";
+import { requireAuth, requirePermission, blockImpersonation } from "../middleware/auth.js";
+import { ROLES, ROLE_NAMES, API_KEY_SCOPES, permissionsForRole } from "../config/permissions.js";
+import { REACTION_TYPES, describeReactions } from "../config/reactions.js";
+import { getEnabledReactions } from "../utils/reactions.js";
+import { revokeAllSessions, hashToken } from "../utils/session.js";
+import { recordAudit } from "../utils/audit.js";
+import { generateApiKey } from "../utils/apiKeys.js";
+import { unlinkMember } from "../utils/memberLink.js";
+import { createImpersonationSession } from "../utils/impersonation.js";
+import { findSubjectRecords, summarize, buildExport, buildExportZip, eraseSubject } from "../utils/privacy.js";
+import { issueInvitationToken, pendingInvitationFilter, sendInvitationEmail } from "../utils/invitations.js";
 import path from "path";
 import fs from "fs/promises";
 import fsSync from "fs";
@@ -12,60 +28,176 @@ import cloudinary from "../config/cloudinary.js";
 
 const router = Router();
 
-// ✅ All routes below require authenticated admin
-router.use(requireAuth, requireAdmin);
+// ✅ All routes below require an authenticated staff account; each route
+//    checks its own permission
+router.use(requireAuth);
 
 /* -------------------------------------------------------------------------- */
-/* 👥 Register Members (bulk)                                                 */
+/* 👥 Invite Members (bulk)                                                   */
 /* -------------------------------------------------------------------------- */
-router.post("/members", async (req, res) => {
+// Each person gets a one-time link to set their own password.
+router.post("/members", requirePermission("users:manage"), async (req, res) => {
   try {
-    const { members } = req.body; // [{ fullname, email, password }]
+    const { members } = req.body; // [{ fullname, email, role? }]
     if (!Array.isArray(members)) {
       return res.status(400).json({ error: "members must be an array" });
     }
 
-    const created = [];
+    const canAssignRoles = req.user.permissions.includes("roles:assign");
+    const invited = [];
+    const skipped = [];
 
     for (const m of members) {
-      if (!m.fullname || !m.email) continue;
+      if (!m.fullname || !m.email) {
+        skipped.push({ email: m.email || null, reason: "fullname and email are required" });
+        continue;
+      }
+      const email = String(m.email).toLowerCase().trim();
 
-      const existing = await User.findOne({ email: m.email });
-      if (existing) continue;
+      if (await User.exists({ email })) {
+        skipped.push({ email, reason: "already registered" });
+        continue;
+      }
+      if (await Invitation.exists(pendingInvitationFilter({ email }))) {
+        skipped.push({ email, reason: "invitation already pending" });
+        continue;
+      }
 
-      const passwordHash = await bcrypt.hash(m.password || "password123", 10);
-      const user = await User.create({
+      const role = canAssignRoles && ROLE_NAMES.includes(m.role) ? m.role : "member";
+      const invitation = new Invitation({
+        email,
         fullname: m.fullname,
-        email: m.email,
-        passwordHash,
-        role: "member",
+        role,
+        invitedBy: req.user.id,
+        invitedByName: req.user.fullname,
+      });
+      const token = issueInvitationToken(invitation);
+      await invitation.save();
+      await recordAudit(req, {
+        action: "invitation.create",
+        targetModel: "Invitation",
+        targetId: invitation._id,
+        after: { email, fullname: invitation.fullname, role },
       });
 
-      created.push({
-        id: user._id,
-        email: user.email,
-        fullname: user.fullname,
+      try {
+        await sendInvitationEmail(invitation, token);
+      } catch (mailErr) {
+        console.error("❌ Failed to send invitation email:", mailErr?.message);
+      }
+
+      invited.push({
+        id: invitation._id,
+        email: invitation.email,
+        fullname: invitation.fullname,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt,
       });
     }
 
     res.json({
       success: true,
-      message: `${created.length} member(s) registered successfully.`,
-      created,
+      message: `${invited.length} invitation(s) sent successfully.`,
+      invited,
+      skipped,
+    });
+  } catch (err) {
+    console.error("❌ Error inviting members:", err);
+    res.status(500).json({ error: "Failed to invite members" });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* ✉️ Invitations — list / resend / revoke                                    */
+/* -------------------------------------------------------------------------- */
+router.get("/invitations", requirePermission("users:manage"), async (req, res) => {
+  try {
+    const status = req.query.status || "pending";
+    const now = new Date();
+    const filters = {
+      pending: pendingInvitationFilter(),
+      accepted: { acceptedAt: { $ne: null } },
+      revoked: { revokedAt: { $ne: null } },
+      expired: { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } },
+      all: {},
+    };
+    if (!filters[status]) {
+      return res
+        .status(400)
+        .json({ error: `status must be one of: ${Object.keys(filters).join(", ")}` });
+    }
+
+    const invitations = await Invitation.find(filters[status])
+      .populate("invitedBy", "fullname email")
+      .sort({ createdAt: -1 });
+    res.json({ success: true, invitations });
+  } catch (err) {
+    console.error("❌ Error fetching invitations:", err);
+    res.status(500).json({ error: "Failed to fetch invitations" });
+  }
+});
+
+router.post("/invitations/:id/resend", requirePermission("users:manage"), async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+    if (!invitation) return res.status(404).json({ error: "Invitation not found" });
+    if (invitation.acceptedAt || invitation.revokedAt) {
+      return res.status(400).json({ error: `Invitation is already ${invitation.status}` });
+    }
+
+    // ♻️ New link + fresh expiry; the previous link stops working
+    const token = issueInvitationToken(invitation);
+    invitation.sendCount += 1;
+    invitation.lastSentAt = new Date();
+    await invitation.save();
+    await recordAudit(req, {
+      action: "invitation.resend",
+      targetModel: "Invitation",
+      targetId: invitation._id,
+      meta: { email: invitation.email, sendCount: invitation.sendCount },
+    });
+    await sendInvitationEmail(invitation, token);
+
+    res.json({ success: true, message: "Invitation resent.", invitation });
+  } catch (err) {
+    console.error("❌ Error resending invitation:", err);
+    res.status(500).json({ error: "Failed to resend invitation" });
+  }
+});
+
+router.delete("/invitations/:id", requirePermission("users:manage"), async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+    if (!invitation) return res.status(404).json({ error: "Invitation not found" });
+    if (invitation.acceptedAt) {
+      return res.status(400).json({ error: "Invitation has already been accepted" });
+    }
+
+    const before = { revokedAt: invitation.revokedAt };
+    invitation.revokedAt = invitation.revokedAt || new Date();
+    await invitation.save();
+    await recordAudit(req, {
+      action: "invitation.revoke",
+      targetModel: "Invitation",
+      targetId: invitation._id,
+      before,
+      after: { revokedAt: invitation.revokedAt },
     });
+
+    res.json({ success: true, message: "Invitation revoked." });
   } catch (err) {
-    console.error("❌ Error registering members:", err);
-    res.status(500).json({ error: "Failed to register members" });
+    console.error("❌ Error revoking invitation:", err);
+    res.status(500).json({ error: "Failed to revoke invitation" });
   }
 });
 
 /* -------------------------------------------------------------------------- */
 /* 🧾 Get All Members                                                         */
 /* -------------------------------------------------------------------------- */
-router.get("/members", async (_req, res) => {
+router.get("/members", requirePermission("users:manage"), async (_req, res) => {
   try {
     const members = await User.find({ role: "member" })
-      .select("fullname email role createdAt isActive")
+      .select("fullname email role createdAt isActive lockUntil failedLoginAttempts")
       .sort({ createdAt: -1 });
     res.json({ success: true, members });
   } catch (err) {
@@ -77,13 +209,24 @@ router.get("/members", async (_req, res) => {
 /* -------------------------------------------------------------------------- */
 /* 🔄 Toggle Member Active/Inactive                                           */
 /* -------------------------------------------------------------------------- */
-router.patch("/members/:id/toggle", async (req, res) => {
+router.patch("/members/:id/toggle", requirePermission("users:manage"), async (req, res) => {
   try {
     const member = await User.findById(req.params.id);
     if (!member) return res.status(404).json({ error: "Member not found" });
 
+    const before = { isActive: member.isActive };
     member.isActive = !member.isActive;
     await member.save();
+    await recordAudit(req, {
+      action: member.isActive ? "user.activate" : "user.deactivate",
+      targetModel: "User",
+      targetId: member._id,
+      before,
+      after: { isActive: member.isActive },
+    });
+
+    // 🚫 Deactivation logs the member out everywhere right away
+    if (!member.isActive) await revokeAllSessions(member._id, "deactivated");
 
     res.json({
       success: true,
@@ -99,10 +242,31 @@ router.patch("/members/:id/toggle", async (req, res) => {
 /* -------------------------------------------------------------------------- */
 /* ❌ Delete Member                                                           */
 /* -------------------------------------------------------------------------- */
-router.delete("/members/:id", async (req, res) => {
+router.delete("/members/:id", requirePermission("users:manage"), async (req, res) => {
   try {
     const deleted = await User.findByIdAndDelete(req.params.id);
     if (!deleted) return res.status(404).json({ error: "Member not found" });
+    await revokeAllSessions(deleted._id, "deleted");
+
+    // 🔗 Registry records linked to this account go back to unlinked
+    const linked = await Member.find({ userId: deleted._id });
+    for (const member of linked) {
+      await unlinkMember(member);
+      await recordAudit(req, {
+        action: "member.unlink",
+        targetModel: "Member",
+        targetId: member._id,
+        before: { userId: deleted._id },
+        after: { userId: null },
+        meta: { reason: "account deleted" },
+      });
+    }
+    await recordAudit(req, {
+      action: "user.delete",
+      targetModel: "User",
+      targetId: deleted._id,
+      before: deleted,
+    });
 
     res.json({ success: true, message: "Member deleted successfully" });
   } catch (err) {
@@ -111,10 +275,496 @@ router.delete("/members/:id", async (req, res) => {
   }
 });
 
+/* -------------------------------------------------------------------------- */
+/* 🔓 Unlock Account / Login History                                          */
+/* -------------------------------------------------------------------------- */
+router.post("/users/:id/unlock", requirePermission("users:manage"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const before = { failedLoginAttempts: user.failedLoginAttempts, lockUntil: user.lockUntil };
+    user.failedLoginAttempts = 0;
+    user.lockUntil = null;
+    await user.save();
+    await recordAudit(req, {
+      action: "user.unlock",
+      targetModel: "User",
+      targetId: user._id,
+      before,
+      after: { failedLoginAttempts: 0, lockUntil: null },
+    });
+
+    res.json({ success: true, message: `${user.email} unlocked successfully.` });
+  } catch (err) {
+    console.error("❌ Error unlocking user:", err);
+    res.status(500).json({ error: "Failed to unlock user" });
+  }
+});
+
+router.get("/users/:id/logins", requirePermission("users:manage"), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const events = await LoginEvent.find({ userId: req.params.id })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+    res.json({ success: true, events });
+  } catch (err) {
+    console.error("❌ Error fetching login history:", err);
+    res.status(500).json({ error: "Failed to fetch login history" });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🎭 Impersonation — short-lived "view as user" token                        */
+/* -------------------------------------------------------------------------- */
+router.post(
+  "/users/:id/impersonate",
+  requirePermission("users:impersonate"),
+  blockImpersonation,
+  async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === "string" ? req.body.reason.trim() : "";
+    if (reason.length < 5) {
+      return res.status(400).json({ error: "A reason (at least 5 characters) is required" });
+    }
+    if (!mongoose.isValidObjectId(req.user.id)) {
+      return res.status(403).json({ error: "Impersonation requires a signed-in admin" });
+    }
+    if (String(req.params.id) === String(req.user.id)) {
+      return res.status(400).json({ error: "You cannot impersonate yourself" });
+    }
+
+    const target = await User.findById(req.params.id);
+    if (!target) return res.status(404).json({ error: "User not found" });
+    if (target.isActive === false) {
+      return res.status(400).json({ error: "Cannot impersonate a deactivated account" });
+    }
+    // 🛑 Staff with account-management rights can't be impersonated
+    if (permissionsForRole(target.role).includes("users:manage")) {
+      return res.status(403).json({ error: "Administrators cannot be impersonated" });
+    }
+
+    const { session, token, expiresAt } = await createImpersonationSession(
+      target,
+      req.user,
+      req,
+      reason
+    );
+    await recordAudit(req, {
+      action: "impersonation.start",
+      targetModel: "User",
+      targetId: target._id,
+      meta: { reason, sessionId: String(session._id), expiresAt },
+    });
+
+    res.json({
+      success: true,
+      token,
+      expiresAt,
+      user: {
+        id: target._id,
+        fullname: target.fullname,
+        email: target.email,
+        role: target.role,
+      },
+    });
+  } catch (err) {
+    console.error("❌ Error starting impersonation:", err);
+    res.status(500).json({ error: "Failed to start impersonation" });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🛂 Roles & Permissions                                                     */
+/* -------------------------------------------------------------------------- */
+router.get("/roles", requirePermission("roles:assign"), (_req, res) => {
+  res.json({ success: true, roles: ROLES });
+});
+
+router.get("/users", requirePermission("roles:assign"), async (req, res) => {
+  try {
+    const filter = ROLE_NAMES.includes(req.query.role)
+      ? { role: req.query.role }
+      : { role: { $ne: "member" } };
+    const users = await User.find(filter)
+      .select("fullname email role createdAt isActive")
+      .sort({ createdAt: -1 });
+    res.json({ success: true, users });
+  } catch (err) {
+    console.error("❌ Error fetching users:", err);
+    res.status(500).json({ error: "Failed to fetch users" });
+  }
+});
+
+router.patch("/users/:id/role", requirePermission("roles:assign"), async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ROLE_NAMES.includes(role)) {
+      return res
+        .status(400)
+        .json({ error: `role must be one of: ${ROLE_NAMES.join(", ")}` });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    // 🚫 Never leave the foundation without an admin
+    if (user.role === "admin" && role !== "admin") {
+      const admins = await User.countDocuments({ role: "admin", isActive: { $ne: false } });
+      if (admins <= 1) {
+        return res.status(400).json({ error: "Cannot remove the last admin" });
+      }
+    }
+
+    const before = { role: user.role };
+    user.role = role;
+    await user.save();
+    await recordAudit(req, {
+      action: "user.role.assign",
+      targetModel: "User",
+      targetId: user._id,
+      before,
+      after: { role },
+    });
+
+    res.json({
+      success: true,
+      message: `Role updated to ${role}.`,
+      user: { id: user._id, fullname: user.fullname, email: user.email, role: user.role },
+    });
+  } catch (err) {
+    console.error("❌ Error assigning role:", err);
+    res.status(500).json({ error: "Failed to assign role" });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🔐 Security Settings (e.g. require 2FA for all admins)                     */
+/* -------------------------------------------------------------------------- */
+router.get("/settings/security", requirePermission("settings:manage"), async (_req, res) => {
+  try {
+    const settings = await Settings.current();
+    res.json({ success: true, security: settings.security });
+  } catch (err) {
+    console.error("❌ Error fetching security settings:", err);
+    res.status(500).json({ error: "Failed to fetch security settings" });
+  }
+});
+
+router.put("/settings/security", requirePermission("settings:manage"), async (req, res) => {
+  try {
+    const { requireAdminTwoFactor } = req.body;
+    if (typeof requireAdminTwoFactor !== "boolean") {
+      return res.status(400).json({ error: "requireAdminTwoFactor must be a boolean" });
+    }
+
+    const settings = await Settings.current();
+    const before = { requireAdminTwoFactor: settings.security.requireAdminTwoFactor };
+    settings.security.requireAdminTwoFactor = requireAdminTwoFactor;
+    await settings.save();
+    await recordAudit(req, {
+      action: "settings.security.update",
+      targetModel: "Settings",
+      targetId: settings._id,
+      before,
+      after: { requireAdminTwoFactor },
+    });
+
+    res.json({ success: true, security: settings.security });
+  } catch (err) {
+    console.error("❌ Error updating security settings:", err);
+    res.status(500).json({ error: "Failed to update security settings" });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 💬 Comment Moderation Settings (mode, banned words, thresholds)            */
+/* -------------------------------------------------------------------------- */
+router.get("/settings/comments", requirePermission("settings:manage"), async (_req, res) => {
+  try {
+    const settings = await Settings.current();
+    res.json({ success: true, comments: settings.comments });
+  } catch (err) {
+    console.error("❌ Error fetching comment settings:", err);
+    res.status(500).json({ error: "Failed to fetch comment settings" });
+  }
+});
+
+router.put("/settings/comments", requirePermission("settings:manage"), async (req, res) => {
+  try {
+    const { moderationMode, bannedWords, maxLinks, reportThreshold } = req.body;
+    if (moderationMode !== undefined && !["post", "pre"].includes(moderationMode)) {
+      return res.status(400).json({ error: "moderationMode must be 'post' or 'pre'" });
+    }
+    if (bannedWords !== undefined && (!Array.isArray(bannedWords) || bannedWords.some((w) => typeof w !== "string"))) {
+      return res.status(400).json({ error: "bannedWords must be an array of strings" });
+    }
+    if (maxLinks !== undefined && !(Number.isInteger(maxLinks) && maxLinks >= 0)) {
+      return res.status(400).json({ error: "maxLinks must be a non-negative integer" });
+    }
+    if (reportThreshold !== undefined && !(Number.isInteger(reportThreshold) && reportThreshold >= 1)) {
+      return res.status(400).json({ error: "reportThreshold must be a positive integer" });
+    }
+
+    const settings = await Settings.current();
+    const before = settings.toObject().comments;
+    if (moderationMode !== undefined) settings.comments.moderationMode = moderationMode;
+    if (bannedWords !== undefined) {
+      settings.comments.bannedWords = [
+        ...new Set(bannedWords.map((w) => w.trim().toLowerCase()).filter(Boolean)),
+      ];
+    }
+    if (maxLinks !== undefined) settings.comments.maxLinks = maxLinks;
+    if (reportThreshold !== undefined) settings.comments.reportThreshold = reportThreshold;
+    await settings.save();
+    await recordAudit(req, {
+      action: "settings.comments.update",
+      targetModel: "Settings",
+      targetId: settings._id,
+      before,
+      after: settings.toObject().comments,
+    });
+
+    res.json({ success: true, comments: settings.comments });
+  } catch (err) {
+    console.error("❌ Error updating comment settings:", err);
+    res.status(500).json({ error: "Failed to update comment settings" });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 😊 Reaction Settings (which reactions visitors can pick)                   */
+/* -------------------------------------------------------------------------- */
+router.get("/settings/reactions", requirePermission("settings:manage"), async (_req, res) => {
+  try {
+    const enabled = await getEnabledReactions();
+    res.json({ success: true, available: describeReactions(REACTION_TYPES), enabled });
+  } catch (err) {
+    console.error("❌ Error fetching reaction settings:", err);
+    res.status(500).json({ error: "Failed to fetch reaction settings" });
+  }
+});
+
+router.put("/settings/reactions", requirePermission("settings:manage"), async (req, res) => {
+  try {
+    const { enabled } = req.body;
+    if (!Array.isArray(enabled) || enabled.length === 0 || enabled.some((t) => !REACTION_TYPES.includes(t))) {
+      return res
+        .status(400)
+        .json({ error: `enabled must be a non-empty list of: ${REACTION_TYPES.join(", ")}` });
+    }
+
+    const settings = await Settings.current();
+    const before = { enabled: await getEnabledReactions() };
+    settings.reactions.enabled = REACTION_TYPES.filter((t) => enabled.includes(t));
+    await settings.save();
+    await recordAudit(req, {
+      action: "settings.reactions.update",
+      targetModel: "Settings",
+      targetId: settings._id,
+      before,
+      after: { enabled: settings.reactions.enabled },
+    });
+
+    res.json({ success: true, enabled: settings.reactions.enabled });
+  } catch (err) {
+    console.error("❌ Error updating reaction settings:", err);
+    res.status(500).json({ error: "Failed to update reaction settings" });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🔑 API Keys — machine-to-machine access (create / list / revoke)           */
+/* -------------------------------------------------------------------------- */
+router.get("/api-keys", requirePermission("apikeys:manage"), async (req, res) => {
+  try {
+    const filter = req.query.includeRevoked === "true" ? {} : { revokedAt: null };
+    const keys = await ApiKey.find(filter).sort({ createdAt: -1 });
+    res.json({ success: true, scopes: API_KEY_SCOPES, keys });
+  } catch (err) {
+    console.error("❌ Error fetching API keys:", err);
+    res.status(500).json({ error: "Failed to fetch API keys" });
+  }
+});
+
+router.post("/api-keys", requirePermission("apikeys:manage"), async (req, res) => {
+  try {
+    const { name, scopes, rateLimitPerMinute, expiresAt } = req.body;
+    if (!name || typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({ error: "name is required" });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: "scopes must be a non-empty array" });
+    }
+    const invalid = scopes.filter((s) => !API_KEY_SCOPES.includes(s));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        error: `Invalid scope(s): ${invalid.join(", ")}. Allowed: ${API_KEY_SCOPES.join(", ")}`,
+      });
+    }
+    // 🛑 A key can never hold more than the admin creating it
+    const notHeld = scopes.filter((s) => !req.user.permissions.includes(s));
+    if (notHeld.length > 0) {
+      return res.status(403).json({ error: `You cannot grant: ${notHeld.join(", ")}` });
+    }
+    const limit = rateLimitPerMinute === undefined ? undefined : Number(rateLimitPerMinute);
+    if (limit !== undefined && !(Number.isInteger(limit) && limit >= 1 && limit <= 6000)) {
+      return res.status(400).json({ error: "rateLimitPerMinute must be an integer between 1 and 6000" });
+    }
+    const expiry = expiresAt ? new Date(expiresAt) : null;
+    if (expiry && (isNaN(expiry) || expiry <= new Date())) {
+      return res.status(400).json({ error: "expiresAt must be a future date" });
+    }
+
+    const { raw, keyHash, prefix } = generateApiKey();
+    const key = await ApiKey.create({
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      keyHash,
+      prefix,
+      rateLimitPerMinute: limit,
+      expiresAt: expiry,
+      createdBy: req.user.id,
+      createdByName: req.user.fullname,
+    });
+    await recordAudit(req, {
+      action: "apikey.create",
+      targetModel: "ApiKey",
+      targetId: key._id,
+      after: key,
+    });
+
+    // ⚠️ The raw key is only ever returned here
+    res.status(201).json({
+      success: true,
+      message: "API key created. Copy it now — it will not be shown again.",
+      apiKey: raw,
+      key,
+    });
+  } catch (err) {
+    console.error("❌ Error creating API key:", err);
+    res.status(500).json({ error: "Failed to create API key" });
+  }
+});
+
+router.delete("/api-keys/:id", requirePermission("apikeys:manage"), async (req, res) => {
+  try {
+    const key = await ApiKey.findById(req.params.id);
+    if (!key) return res.status(404).json({ error: "API key not found" });
+
+    const before = { revokedAt: key.revokedAt };
+    key.revokedAt = key.revokedAt || new Date();
+    await key.save();
+    await recordAudit(req, {
+      action: "apikey.revoke",
+      targetModel: "ApiKey",
+      targetId: key._id,
+      before,
+      after: { revokedAt: key.revokedAt },
+      meta: { name: key.name },
+    });
+
+    res.json({ success: true, message: "API key revoked." });
+  } catch (err) {
+    console.error("❌ Error revoking API key:", err);
+    res.status(500).json({ error: "Failed to revoke API key" });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🕵️ Privacy — data-subject access (export) and erasure                      */
+/* -------------------------------------------------------------------------- */
+function privacySubject(source) {
+  const email = typeof source.email === "string" ? source.email.trim().toLowerCase() : "";
+  const phone = typeof source.phone === "string" ? source.phone.trim() : "";
+  return email || phone ? { email: email || undefined, phone: phone || undefined } : null;
+}
+
+router.get("/privacy/search", requirePermission("privacy:manage"), async (req, res) => {
+  try {
+    const subject = privacySubject(req.query);
+    if (!subject) return res.status(400).json({ error: "email or phone is required" });
+    const records = await findSubjectRecords(subject);
+    res.json({ success: true, subject, counts: summarize(records) });
+  } catch (err) {
+    console.error("❌ Error searching subject data:", err);
+    res.status(500).json({ error: "Failed to search subject data" });
+  }
+});
+
+router.get("/privacy/export", requirePermission("privacy:manage"), async (req, res) => {
+  try {
+    const subject = privacySubject(req.query);
+    if (!subject) return res.status(400).json({ error: "email or phone is required" });
+    const format = req.query.format === "zip" ? "zip" : "json";
+
+    const records = await findSubjectRecords(subject);
+    const bundle = buildExport(records, subject);
+    await recordAudit(req, {
+      action: "privacy.export",
+      meta: { subjectHash: hashToken(subject.email || subject.phone), format, counts: summarize(records) },
+    });
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader("Cache-Control", "no-store");
+    if (format === "zip") {
+      const zip = await buildExportZip(bundle);
+      res.setHeader("Content-Type", "application/zip");
+      res.setHeader("Content-Disposition", `attachment; filename="ulf-data-export-${stamp}.zip"`);
+      return res.send(zip);
+    }
+    res.setHeader("Content-Disposition", `attachment; filename="ulf-data-export-${stamp}.json"`);
+    res.json(bundle);
+  } catch (err) {
+    console.error("❌ Error exporting subject data:", err);
+    res.status(500).json({ error: "Failed to export subject data" });
+  }
+});
+
+router.post("/privacy/erase", requirePermission("privacy:manage"), blockImpersonation, async (req, res) => {
+  try {
+    const subject = privacySubject(req.body);
+    if (!subject) return res.status(400).json({ error: "email or phone is required" });
+    // ✋ Typed confirmation guards against erasing the wrong person
+    const confirm = typeof req.body.confirm === "string" ? req.body.confirm.trim().toLowerCase() : "";
+    if (confirm !== (subject.email || subject.phone.toLowerCase())) {
+      return res.status(400).json({ error: "confirm must repeat the email (or phone) being erased" });
+    }
+
+    const records = await findSubjectRecords(subject);
+    const staff = records.users.filter((u) => permissionsForRole(u.role).includes("users:manage"));
+    if (staff.length > 0) {
+      return res
+        .status(400)
+        .json({ error: "Remove admin rights from this account before erasing it" });
+    }
+    if (req.body.dryRun === true) {
+      return res.json({ success: true, dryRun: true, counts: summarize(records) });
+    }
+
+    const result = await eraseSubject(records);
+    await recordAudit(req, {
+      action: "privacy.erase",
+      meta: { subjectHash: hashToken(subject.email || subject.phone), result },
+    });
+
+    res.json({
+      success: true,
+      message: "Personal data erased. Audit log entries are retained as a legal record.",
+      result,
+    });
+  } catch (err) {
+    console.error("❌ Error erasing subject data:", err);
+    res.status(500).json({ error: "Failed to erase subject data" });
+  }
+});
+
 /* -------------------------------------------------------------------------- */
 /* 📝 Create Post Assigned to a Member                                        */
 /* -------------------------------------------------------------------------- */
-router.post("/posts", async (req, res) => {
+router.post("/posts", requirePermission("posts:write"), async (req, res) => {
   try {
     const { title, content, imageUrl, memberId } = req.body;
     if (!title || !content) {
@@ -128,6 +778,12 @@ router.post("/posts", async (req, res) => {
       memberId,
       createdAt: new Date(),
     });
+    await recordAudit(req, {
+      action: "post.create",
+      targetModel: "Post",
+      targetId: post._id,
+      after: post,
+    });
 
     res.json({ success: true, post });
   } catch (err) {
@@ -136,10 +792,56 @@ router.post("/posts", async (req, res) => {
   }
 });
 
+/* -------------------------------------------------------------------------- */
+/* 🧾 Audit Log (read-only, filterable, paginated)                            */
+/* -------------------------------------------------------------------------- */
+router.get("/audit", requirePermission("audit:read"), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const filter = {};
+    if (req.query.actorId) filter["actor.id"] = String(req.query.actorId);
+    if (req.query.impersonatorId) filter["impersonator.id"] = String(req.query.impersonatorId);
+    if (req.query.action) filter.action = String(req.query.action);
+    if (req.query.targetModel) filter.targetModel = String(req.query.targetModel);
+    if (req.query.targetId) filter.targetId = String(req.query.targetId);
+    if (req.query.from || req.query.to) {
+      filter.createdAt = {};
+      if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+      if (Object.values(filter.createdAt).some((d) => isNaN(d))) {
+        return res.status(400).json({ error: "from/to must be valid dates" });
+      }
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      entries,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (err) {
+    console.error("❌ Error fetching audit log:", err);
+    res.status(500).json({ error: "Failed to fetch audit log" });
+  }
+});
+
 /* -------------------------------------------------------------------------- */
 /* 💰 Simple Donation Analytics                                              */
 /* -------------------------------------------------------------------------- */
-router.get("/stats/donations", async (_req, res) => {
+router.get("/stats/donations", requirePermission("donations:read"), async (_req, res) => {
   try {
     const byMember = await Donation.aggregate([
       {
@@ -151,7 +853,7 @@ router.get("/stats/donations", async (_req, res) => {
       },
       {
         $lookup: {
-          from: "users",
+          from: Member.collection.name, // Donation.memberId is the beneficiary's registry record
           localField: "_id",
           foreignField: "_id",
           as: "member",
@@ -165,7 +867,7 @@ router.get("/stats/donations", async (_req, res) => {
       },
       {
         $project: {
-          memberName: "$member.fullname",
+          memberName: "$member.name",
           total: 1,
           count: 1,
         },
@@ -266,7 +968,7 @@ async function ensureLocalMedia(src, baseUrl, postImagesDir, postVideosDir) {
   return { full: url, thumb: url, type: video ? "video" : "image" };
 }
 
-router.post("/migrate/posts", async (req, res) => {
+router.post("/migrate/posts", requirePermission("posts:write"), async (req, res) => {
   try {
     const baseUrl = `${req.protocol}://${req.get("host")}`;
     const uploadsRoot = path.join(process.cwd(), "../client/uploads");
@@ -301,6 +1003,11 @@ router.post("/migrate/posts", async (req, res) => {
         updated++;
       }
     }
+    await recordAudit(req, {
+      action: "post.media.migrate",
+      targetModel: "Post",
+      meta: { postsUpdated: updated },
+    });
     res.json({ success: true, postsUpdated: updated });
   } catch (err) {
     console.error("❌ Migration failed:", err);
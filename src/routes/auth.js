@@ -1,69 +1,98 @@
 import { Router } from "express";
-import jwt from "jsonwebtoken";
 import User from "../models/User.js";
-import { requireAuth, devAuthFallback } from "../middleware/auth.js";
-import nodemailer from "nodemailer";
+import Invitation from "../models/Invitation.js";
+import Member from "../models/Member.js";
+import { requireAuth, devAuthFallback, rejectApiKey, blockImpersonation } from "../middleware/auth.js";
+import { createSession, rotateSession, revokeSession, revokeAllSessions, revokeOtherSessions, hashToken } from "../utils/session.js";
+import { sendVerificationEmail, readVerificationToken } from "../utils/emailVerification.js";
+import { generateSecret, verifyTotp, buildOtpAuthUri, generateRecoveryCodes, hashRecoveryCode } from "../utils/totp.js";
+import { isTwoFactorRequired, signTwoFactorChallenge, readTwoFactorChallenge, consumeSecondFactor } from "../utils/twoFactor.js";
+import { recordLoginEvent, registerFailedLogin, registerSuccessfulLogin, lockRemainingMs } from "../utils/loginGuard.js";
+import { pendingInvitationFilter } from "../utils/invitations.js";
+import { syncAuthorProfile, sendEmailChangeConfirmation, readEmailChangeToken } from "../utils/profile.js";
+import { generateFilename } from "../utils/media.js";
+import { uploadFileToFirebase, deleteFirebaseFile, gcsPathFromUrl } from "../utils/firebase.js";
+import { isSetupRequired, isSetupTokenActive, consumeSetupToken, initSetupToken } from "../utils/setup.js";
+import { issueSessionTokens, clearSessionCookies, readRefreshCookie, verifyCsrf } from "../utils/cookies.js";
 import crypto from "crypto";
+import multer from "multer";
+import fs from "fs/promises";
 import dotenv from "dotenv";
+import { sendMail, getFrontendBase, logDevLink } from "../utils/mailer.js";
 import { body, param, validationResult } from "express-validator";
-import { ok, created, badRequest, unauthorized, notFound, serverError } from "../utils/respond.js";
+import { ok, created, badRequest, unauthorized, forbidden, notFound, serverError } from "../utils/respond.js";
 import logger from "../utils/logger.js";
 dotenv.config();
 
 const router = Router();
+router.use(rejectApiKey);
 
 /* -------------------------------------------------------------------------- */
-/* 🧱 1. Seed Initial Admin (first-time setup)                                */
+/* 📦 Multer setup (temporary local upload before Firebase)                   */
 /* -------------------------------------------------------------------------- */
-router.post("/seed-admin", async (req, res) => {
-  try {
-    const { fullname, email, password } = req.body;
-    const existing = await User.findOne({ email });
-    if (existing)
-      return res.status(400).json({ error: "Admin already exists" });
-
-    const user = await User.create({
-      fullname,
-      email,
-      passwordHash: password, // 🔒 auto-hashed via model pre-save hook
-      role: "admin",
-    });
+const upload = multer({
+  dest: "temp_uploads/",
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB max
+});
 
-    ok(res, {
-      message: "Admin account created successfully",
-      user: {
-        id: user._id,
-        fullname: user.fullname,
-        email: user.email,
-        role: user.role,
-      },
-    });
+/* -------------------------------------------------------------------------- */
+/* 🧱 1. First-Run Setup (only while no admin exists)                         */
+/* -------------------------------------------------------------------------- */
+router.get("/setup", async (_req, res) => {
+  try {
+    ok(res, { setupRequired: await isSetupRequired() });
   } catch (err) {
-    logger.error("Error seeding admin", err);
-    serverError(res, "Failed to seed admin");
+    logger.error("Setup status error", err);
+    serverError(res, "Failed to check setup status");
   }
 });
 
-router.put("/seed-admin", async (req, res) => {
+router.post(
+  "/setup",
+  [
+    body("setupToken").isString().isLength({ min: 1 }),
+    body("fullname").isString().trim().isLength({ min: 2 }),
+    body("email").isEmail(),
+    body("password").isString().isLength({ min: 8 }),
+  ],
+  async (req, res) => {
   try {
-    if (process.env.NODE_ENV === "production") {
-      return res.status(403).json({ error: "Not allowed in production" });
-    }
-    const { fullname, email, password } = req.body;
-    if (!email || !password) {
-      return badRequest(res, "email and password are required");
-    }
-    let user = await User.findOne({ email });
-    if (!user) {
-      user = await User.create({ fullname, email, passwordHash: password, role: "admin" });
-    } else {
-      user.fullname = fullname || user.fullname;
-      user.role = "admin";
-      user.passwordHash = password;
-      await user.save();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return badRequest(res, errors.array());
+
+    if (!(await isSetupRequired()) || !isSetupTokenActive())
+      return notFound(res, "Setup has already been completed");
+
+    const { setupToken, fullname, email, password } = req.body;
+    if (!consumeSetupToken(setupToken))
+      return unauthorized(res, "Invalid setup token");
+
+    let user;
+    try {
+      const existing = await User.findOne({ email });
+      if (existing) {
+        existing.fullname = fullname;
+        existing.role = "admin";
+        existing.isActive = true;
+        existing.passwordHash = password; // 🔒 auto-hashed via model pre-save hook
+        user = await existing.save();
+      } else {
+        user = await User.create({
+          fullname,
+          email,
+          passwordHash: password, // 🔒 auto-hashed via model pre-save hook
+          role: "admin",
+        });
+      }
+    } catch (createErr) {
+      // ♻️ Re-arm setup so the operator can try again
+      await initSetupToken().catch(() => {});
+      throw createErr;
     }
-    ok(res, {
-      message: "Admin account seeded/updated successfully",
+
+    logger.info("First-run setup completed", { email: user.email });
+    created(res, {
+      message: "Admin account created successfully",
       user: {
         id: user._id,
         fullname: user.fullname,
@@ -72,10 +101,11 @@ router.put("/seed-admin", async (req, res) => {
       },
     });
   } catch (err) {
-    logger.error("Error updating admin via seed-admin", err);
-    serverError(res, "Failed to update admin");
+    logger.error("First-run setup error", err);
+    serverError(res, "Failed to complete setup");
   }
-});
+}
+);
 
 /* -------------------------------------------------------------------------- */
 /* 👤 2. Register (non-admin users)                                           */
@@ -102,22 +132,25 @@ router.post(
       email,
       passwordHash: password, // 🔒 handled by pre-save hook
       role: "member",
+      emailVerified: false, // ✉️ stays unverified until the emailed link is used
     });
 
-    const token = jwt.sign(
-      { id: user._id, role: user.role, fullname: user.fullname, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
+    // 💌 A failed send shouldn't block signup — the user can ask for a resend
+    await sendVerificationEmail(user).catch((mailErr) =>
+      logger.error("Failed to send verification email", { message: mailErr?.message })
     );
 
+    const tokens = issueSessionTokens(req, res, await createSession(user, req));
+
     ok(res, {
-      message: "Registration successful",
-      token,
+      message: "Registration successful. Please check your email to verify your account.",
+      ...tokens,
       user: {
         id: user._id,
         fullname: user.fullname,
         email: user.email,
         role: user.role,
+        emailVerified: user.emailVerified,
       },
     });
   } catch (err) {
@@ -128,8 +161,166 @@ router.post(
 );
 
 /* -------------------------------------------------------------------------- */
-/* 🔐 3. Login                                                                */
+/* ✉️ 2b. Email Verification                                                  */
+/* -------------------------------------------------------------------------- */
+router.post(
+  "/verify-email/:token",
+  [param("token").isString().isLength({ min: 20 })],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return badRequest(res, errors.array());
+
+    const claims = readVerificationToken(req.params.token);
+    if (!claims)
+      return badRequest(res, "Invalid or expired verification link");
+
+    const user = await User.findById(claims.userId);
+    if (!user || user.email !== claims.email)
+      return badRequest(res, "Invalid or expired verification link");
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    ok(res, { message: "Email verified successfully" });
+  } catch (err) {
+    logger.error("Email verification error", err);
+    serverError(res, "Failed to verify email");
+  }
+}
+);
+
+router.post(
+  "/resend-verification",
+  [body("email").isEmail()],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return badRequest(res, errors.array());
+
+    // 🕵️ Same answer whether or not the address exists
+    const user = await User.findOne({ email: req.body.email });
+    if (user && !user.emailVerified && user.isActive !== false) {
+      await sendVerificationEmail(user);
+    }
+
+    ok(res, { message: "If that account needs verification, a new link has been sent." });
+  } catch (err) {
+    logger.error("Resend-verification error", err);
+    serverError(res, "Failed to resend verification email");
+  }
+}
+);
+
+/* -------------------------------------------------------------------------- */
+/* 🎟️ 2c. Accept Invitation (set own password)                                */
+/* -------------------------------------------------------------------------- */
+async function findPendingInvitation(token) {
+  return Invitation.findOne(pendingInvitationFilter({ tokenHash: hashToken(token) }));
+}
+
+router.get(
+  "/invitations/:token",
+  [param("token").isString().isLength({ min: 32 })],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return badRequest(res, errors.array());
+
+    const invitation = await findPendingInvitation(req.params.token);
+    if (!invitation)
+      return badRequest(res, "Invalid or expired invitation");
+
+    ok(res, {
+      invitation: {
+        email: invitation.email,
+        fullname: invitation.fullname,
+        invitedByName: invitation.invitedByName,
+        expiresAt: invitation.expiresAt,
+      },
+    });
+  } catch (err) {
+    logger.error("Invitation lookup error", err);
+    serverError(res, "Failed to load invitation");
+  }
+}
+);
+
+router.post(
+  "/invitations/:token/accept",
+  [
+    param("token").isString().isLength({ min: 32 }),
+    body("password").isString().isLength({ min: 6 }),
+    body("fullname").optional().isString().trim().isLength({ min: 2 }),
+  ],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return badRequest(res, errors.array());
+
+    const invitation = await findPendingInvitation(req.params.token);
+    if (!invitation)
+      return badRequest(res, "Invalid or expired invitation");
+
+    if (await User.exists({ email: invitation.email }))
+      return badRequest(res, "An account with this email already exists");
+
+    const user = await User.create({
+      fullname: req.body.fullname || invitation.fullname,
+      email: invitation.email,
+      passwordHash: req.body.password, // 🔒 handled by pre-save hook
+      role: invitation.role,
+      emailVerified: true, // ✉️ the invite link proves ownership of the address
+      emailVerifiedAt: new Date(),
+      invitedBy: invitation.invitedBy,
+    });
+
+    invitation.acceptedAt = new Date();
+    invitation.acceptedUser = user._id;
+    await invitation.save();
+
+    await completeLogin(req, res, user);
+  } catch (err) {
+    logger.error("Invitation accept error", err);
+    serverError(res, "Failed to accept invitation");
+  }
+}
+);
+
+/* -------------------------------------------------------------------------- */
+/* 🔐 3. Login (password, then TOTP when enabled)                             */
 /* -------------------------------------------------------------------------- */
+function tooManyAttempts(res, lockedMs) {
+  const minutes = Math.ceil(lockedMs / 60000);
+  res.setHeader("Retry-After", String(Math.ceil(lockedMs / 1000)));
+  return res.status(429).json({
+    error: `Account temporarily locked after repeated failed logins. Try again in ${minutes} minute(s).`,
+  });
+}
+
+async function completeLogin(req, res, user) {
+  await registerSuccessfulLogin(user, req);
+  const tokens = issueSessionTokens(req, res, await createSession(user, req));
+  const twoFactorSetupRequired =
+    !user.twoFactor?.enabled && (await isTwoFactorRequired(user));
+
+  ok(res, {
+    message: "Login successful",
+    ...tokens,
+    twoFactorSetupRequired,
+    user: {
+      id: user._id,
+      fullname: user.fullname,
+      email: user.email,
+      role: user.role,
+      emailVerified: user.emailVerified,
+    },
+  });
+}
+
 router.post(
   "/login",
   [body("email").isEmail(), body("password").isString().isLength({ min: 1 })],
@@ -139,29 +330,39 @@ router.post(
     if (!errors.isEmpty()) return badRequest(res, errors.array());
     const { email, password } = req.body;
     const user = await User.findOne({ email });
-    if (!user)
+    if (!user) {
+      await recordLoginEvent(req, { email, success: false, reason: "unknown-email" });
       return unauthorized(res, "Invalid email or password");
+    }
+
+    // 🧱 Locked accounts are refused before the password is even checked
+    const lockedMs = lockRemainingMs(user);
+    if (lockedMs > 0) {
+      await recordLoginEvent(req, { user, success: false, reason: "locked" });
+      return tooManyAttempts(res, lockedMs);
+    }
 
     const valid = await user.verifyPassword(password);
-    if (!valid)
+    if (!valid) {
+      await registerFailedLogin(user, req, "invalid-password");
       return unauthorized(res, "Invalid email or password");
+    }
 
-    const token = jwt.sign(
-      { id: user._id, role: user.role, fullname: user.fullname, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    if (user.isActive === false) {
+      await recordLoginEvent(req, { user, success: false, reason: "deactivated" });
+      return forbidden(res, "This account has been deactivated");
+    }
 
-    ok(res, {
-      message: "Login successful",
-      token,
-      user: {
-        id: user._id,
-        fullname: user.fullname,
-        email: user.email,
-        role: user.role,
-      },
-    });
+    // 🔢 Second step required — no session until a valid code is supplied
+    if (user.twoFactor?.enabled) {
+      return ok(res, {
+        message: "Two-factor code required",
+        twoFactorRequired: true,
+        challengeToken: signTwoFactorChallenge(user),
+      });
+    }
+
+    await completeLogin(req, res, user);
   } catch (err) {
     logger.error("Login error", err);
     serverError(res, "Login failed");
@@ -169,6 +370,49 @@ router.post(
 }
 );
 
+router.post(
+  "/login/2fa",
+  [
+    body("challengeToken").isString().isLength({ min: 20 }),
+    body("code").optional().isString(),
+    body("recoveryCode").optional().isString(),
+  ],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return badRequest(res, errors.array());
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!code && !recoveryCode)
+      return badRequest(res, "code or recoveryCode is required");
+
+    const userId = readTwoFactorChallenge(challengeToken);
+    if (!userId)
+      return unauthorized(res, "Login challenge expired, please sign in again");
+
+    const user = await User.findById(userId);
+    if (!user || user.isActive === false)
+      return unauthorized(res, "Login challenge expired, please sign in again");
+
+    const lockedMs = lockRemainingMs(user);
+    if (lockedMs > 0) {
+      await recordLoginEvent(req, { user, success: false, reason: "locked" });
+      return tooManyAttempts(res, lockedMs);
+    }
+
+    if (!consumeSecondFactor(user, { code, recoveryCode })) {
+      await registerFailedLogin(user, req, "invalid-2fa-code");
+      return unauthorized(res, "Invalid authentication code");
+    }
+    await user.save();
+
+    await completeLogin(req, res, user);
+  } catch (err) {
+    logger.error("2FA login error", err);
+    serverError(res, "Login failed");
+  }
+}
+);
+
 /* -------------------------------------------------------------------------- */
 /* 🧠 4. Get Current Authenticated User                                       */
 /* -------------------------------------------------------------------------- */
@@ -180,8 +424,25 @@ router.get("/me", devAuthFallback, requireAuth, async (req, res) => {
         id: user.id,
         fullname: user.fullname || "Dev User",
         email: user.email || "dev@localhost",
+        avatar: user.avatar || "/default-avatar.png",
         role: user.role || "admin",
+        permissions: user.permissions || [],
+        emailVerified: user.emailVerified !== false,
+        twoFactorEnabled: !!user.twoFactorEnabled,
+        twoFactorSetupRequired: !!user.twoFactorSetupRequired,
       },
+      // 🎭 Frontend shows a "viewing as" banner while this is set
+      impersonation: user.impersonator
+        ? {
+            active: true,
+            impersonator: {
+              id: user.impersonator.id,
+              fullname: user.impersonator.fullname,
+              email: user.impersonator.email,
+            },
+            expiresAt: user.impersonator.expiresAt,
+          }
+        : { active: false },
     });
   } catch (err) {
     logger.error("Auth check failed", err);
@@ -190,65 +451,429 @@ router.get("/me", devAuthFallback, requireAuth, async (req, res) => {
 });
 
 /* -------------------------------------------------------------------------- */
-/* 🚪 5. Logout                                                               */
+/* 🙋 4a. Self-Service Profile                                                */
 /* -------------------------------------------------------------------------- */
-router.post("/logout", (_req, res) => {
-  ok(res, { message: "User logged out successfully. Please clear your token on client." });
+function profilePayload(user) {
+  return {
+    id: user._id,
+    fullname: user.fullname,
+    email: user.email,
+    avatar: user.avatar || "/default-avatar.png",
+    phone: user.phone || "",
+    role: user.role,
+    emailVerified: user.emailVerified,
+  };
+}
+
+router.patch(
+  "/me",
+  requireAuth,
+  blockImpersonation,
+  [
+    body("fullname").optional().isString().trim().isLength({ min: 2, max: 100 }),
+    body("phone").optional().isString().trim().isLength({ max: 30 }),
+  ],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return badRequest(res, errors.array());
+    const user = await User.findById(req.user.id);
+    if (!user) return notFound(res, "User not found");
+
+    if (typeof req.body.fullname === "string") user.fullname = req.body.fullname;
+    if (typeof req.body.phone === "string") user.phone = req.body.phone;
+    await user.save();
+    await syncAuthorProfile(user);
+
+    ok(res, { message: "Profile updated", user: profilePayload(user) });
+  } catch (err) {
+    logger.error("Profile update error", err);
+    serverError(res, "Failed to update profile");
+  }
+}
+);
+
+router.post("/me/avatar", requireAuth, blockImpersonation, upload.single("avatar"), async (req, res) => {
+  try {
+    if (!req.file) return badRequest(res, "No avatar uploaded");
+    if (!req.file.mimetype.startsWith("image/")) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return badRequest(res, "Avatar must be an image");
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return notFound(res, "User not found");
+    }
+
+    const filename = generateFilename(req.file.originalname);
+    let url;
+    try {
+      url = await uploadFileToFirebase(req.file.path, `users/${filename}`, req.file.mimetype, true);
+    } finally {
+      await fs.unlink(req.file.path).catch(() => {});
+    }
+
+    const previous = user.avatar;
+    user.avatar = url;
+    await user.save();
+    await syncAuthorProfile(user);
+
+    const gcs = previous ? gcsPathFromUrl(previous) : null;
+    if (gcs) await deleteFirebaseFile(gcs).catch(() => {});
+
+    ok(res, { message: "Avatar updated", user: profilePayload(user) });
+  } catch (err) {
+    logger.error("Avatar upload error", err);
+    serverError(res, "Failed to update avatar");
+  }
 });
 
-/* -------------------------------------------------------------------------- */
-/* 🔑 6. Forgot Password / Reset Password (Admin Only)                        */
-/* -------------------------------------------------------------------------- */
 router.post(
-  "/forgot-password",
-  [body("email").isEmail()],
+  "/me/email",
+  requireAuth,
+  blockImpersonation,
+  [body("newEmail").isEmail(), body("password").isString().isLength({ min: 1 })],
   async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return badRequest(res, errors.array());
-    const { email } = req.body;
-    const user = await User.findOne({ email, role: "admin" });
-    if (!user)
-      return notFound(res, "No admin found with that email");
+    const newEmail = String(req.body.newEmail).toLowerCase().trim();
 
-    const token = crypto.randomBytes(32).toString("hex");
-    user.resetToken = token;
-    user.resetTokenExpires = Date.now() + 1000 * 60 * 15; // 15 min expiry
-    await user.save();
+    const user = await User.findById(req.user.id);
+    if (!user) return notFound(res, "User not found");
+    if (!(await user.verifyPassword(req.body.password)))
+      return unauthorized(res, "Password is incorrect");
+    if (newEmail === user.email)
+      return badRequest(res, "That is already your email address");
+    if (await User.exists({ email: newEmail }))
+      return badRequest(res, "Email already registered");
 
-    const frontendBase = process.env.FRONTEND_URL || (process.env.NODE_ENV === "production" ? "https://unitedlinkfoundation.com" : "http://localhost:5173");
-    const resetUrl = `${frontendBase}/#/reset-password/${token}`;
+    await sendEmailChangeConfirmation(user, newEmail);
+    ok(res, { message: `A confirmation link has been sent to ${newEmail}` });
+  } catch (err) {
+    logger.error("Email change request error", err);
+    serverError(res, "Failed to start email change");
+  }
+}
+);
 
-    // 📨 Production-ready mail config
-    const transporter = nodemailer.createTransport({
-      service: "gmail",
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS,
-      },
-    });
+router.post(
+  "/me/email/confirm/:token",
+  [param("token").isString().isLength({ min: 20 })],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return badRequest(res, errors.array());
+
+    const claims = readEmailChangeToken(req.params.token);
+    if (!claims) return badRequest(res, "Invalid or expired confirmation link");
+
+    const user = await User.findById(claims.userId);
+    if (!user || user.email !== claims.from)
+      return badRequest(res, "Invalid or expired confirmation link");
+    if (await User.exists({ email: claims.to }))
+      return badRequest(res, "Email already registered");
 
-    // 💌 Send Reset Email
-    await transporter.sendMail({
-      from: `"United Link Foundation" <${process.env.EMAIL_USER}>`,
-      to: email,
-      subject: "Password Reset Request",
+    user.email = claims.to;
+    user.emailVerified = true; // ✉️ confirmed from the new inbox
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    // 📣 Let the old address know, in case this wasn't the owner
+    sendMail({
+      to: claims.from,
+      subject: "Your email address was changed",
       html: `
         <p>Hello ${user.fullname},</p>
-        <p>We received a request to reset your admin password.</p>
-        <p><a href="${resetUrl}" target="_blank">Click here to reset your password</a></p>
-        <p>This link will expire in 15 minutes.</p>
-        <br/>
-        <p>If you didn’t request this, you can safely ignore this email.</p>
+        <p>The email on your United Link Foundation account was changed to ${claims.to}.</p>
+        <p>If you didn’t make this change, please contact us right away.</p>
       `,
+    }).catch((mailErr) => logger.error("Failed to notify old email address", { message: mailErr?.message }));
+
+    ok(res, { message: "Email address updated", user: profilePayload(user) });
+  } catch (err) {
+    logger.error("Email change confirm error", err);
+    serverError(res, "Failed to confirm email change");
+  }
+}
+);
+
+router.delete(
+  "/me",
+  requireAuth,
+  blockImpersonation,
+  [body("password").isString().isLength({ min: 1 })],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return badRequest(res, errors.array());
+    const user = await User.findById(req.user.id);
+    if (!user) return notFound(res, "User not found");
+    if (!(await user.verifyPassword(req.body.password)))
+      return unauthorized(res, "Password is incorrect");
+
+    if (user.role === "admin") {
+      const admins = await User.countDocuments({ role: "admin", isActive: { $ne: false } });
+      if (admins <= 1) return badRequest(res, "The last admin account cannot be deleted");
+    }
+
+    // 👻 Old posts and comments stay, credited to a deleted user
+    user.fullname = "Deleted user";
+    user.avatar = "/default-avatar.png";
+    await syncAuthorProfile(user);
+
+    const gcs = req.user.avatar ? gcsPathFromUrl(req.user.avatar) : null;
+    if (gcs) await deleteFirebaseFile(gcs).catch(() => {});
+
+    await Member.updateMany({ userId: user._id }, { $set: { userId: null, linkedAt: null, linkedBy: "" } });
+    await revokeAllSessions(user._id, "account-deleted");
+    clearSessionCookies(res);
+    await user.deleteOne();
+
+    ok(res, { message: "Your account has been deleted" });
+  } catch (err) {
+    logger.error("Account deletion error", err);
+    serverError(res, "Failed to delete account");
+  }
+}
+);
+
+/* -------------------------------------------------------------------------- */
+/* 🔢 4b. Two-Factor Enrollment                                               */
+/* -------------------------------------------------------------------------- */
+router.get("/2fa", requireAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return notFound(res, "User not found");
+    ok(res, {
+      enabled: !!user.twoFactor?.enabled,
+      required: await isTwoFactorRequired(user),
+      recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0,
     });
+  } catch (err) {
+    logger.error("2FA status error", err);
+    serverError(res, "Failed to load two-factor status");
+  }
+});
+
+router.post("/2fa/setup", requireAuth, blockImpersonation, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return notFound(res, "User not found");
+    if (user.twoFactor?.enabled)
+      return badRequest(res, "Two-factor authentication is already enabled");
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
 
-    // 🧩 Local Development Fallback
-    if (process.env.NODE_ENV !== "production") {
-      logger.info("Password reset link", { resetUrl });
+    ok(res, {
+      secret,
+      otpauthUri: buildOtpAuthUri({ secret, account: user.email }),
+    });
+  } catch (err) {
+    logger.error("2FA setup error", err);
+    serverError(res, "Failed to start two-factor setup");
+  }
+});
+
+router.post(
+  "/2fa/confirm",
+  requireAuth,
+  blockImpersonation,
+  [body("code").isString().isLength({ min: 6, max: 8 })],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return badRequest(res, errors.array());
+    const user = await User.findById(req.user.id);
+    if (!user) return notFound(res, "User not found");
+    if (!user.twoFactor?.pendingSecret)
+      return badRequest(res, "Start two-factor setup first");
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null)
+      return badRequest(res, "Invalid authentication code");
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    ok(res, {
+      message: "Two-factor authentication enabled. Store these recovery codes somewhere safe.",
+      recoveryCodes,
+    });
+  } catch (err) {
+    logger.error("2FA confirm error", err);
+    serverError(res, "Failed to enable two-factor authentication");
+  }
+}
+);
+
+router.post(
+  "/2fa/recovery-codes",
+  requireAuth,
+  blockImpersonation,
+  [body("code").isString().isLength({ min: 6, max: 8 })],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return badRequest(res, errors.array());
+    const user = await User.findById(req.user.id);
+    if (!user) return notFound(res, "User not found");
+    if (!consumeSecondFactor(user, { code: req.body.code }))
+      return unauthorized(res, "Invalid authentication code");
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    ok(res, { recoveryCodes });
+  } catch (err) {
+    logger.error("2FA recovery-codes error", err);
+    serverError(res, "Failed to regenerate recovery codes");
+  }
+}
+);
+
+router.post(
+  "/2fa/disable",
+  requireAuth,
+  blockImpersonation,
+  [body("password").isString().isLength({ min: 1 }), body("code").isString()],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return badRequest(res, errors.array());
+    const user = await User.findById(req.user.id);
+    if (!user) return notFound(res, "User not found");
+    if (!user.twoFactor?.enabled)
+      return badRequest(res, "Two-factor authentication is not enabled");
+
+    if (await isTwoFactorRequired(user))
+      return forbidden(res, "Two-factor authentication is required for admin accounts");
+
+    const valid = await user.verifyPassword(req.body.password);
+    if (!valid || !consumeSecondFactor(user, { code: req.body.code }))
+      return unauthorized(res, "Invalid password or authentication code");
+
+    user.twoFactor = { enabled: false, secret: null, pendingSecret: null, recoveryCodes: [], lastUsedStep: 0, enabledAt: null };
+    await user.save();
+
+    ok(res, { message: "Two-factor authentication disabled" });
+  } catch (err) {
+    logger.error("2FA disable error", err);
+    serverError(res, "Failed to disable two-factor authentication");
+  }
+}
+);
+
+/* -------------------------------------------------------------------------- */
+/* 🔁 5. Refresh Access Token (rotates the refresh token)                     */
+/* -------------------------------------------------------------------------- */
+// Body token for API clients; cookie-mode browsers send the HttpOnly cookie
+// plus the CSRF header instead.
+router.post(
+  "/refresh",
+  [body("refreshToken").optional().isString().isLength({ min: 32 })],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return badRequest(res, errors.array());
+
+    const cookieToken = req.body.refreshToken ? null : readRefreshCookie(req);
+    const refreshToken = req.body.refreshToken || cookieToken;
+    if (!refreshToken) return badRequest(res, "refreshToken is required");
+    if (cookieToken && !verifyCsrf(req))
+      return forbidden(res, "Invalid or missing CSRF token");
+
+    const rotated = await rotateSession(refreshToken, req);
+    if (!rotated) {
+      if (cookieToken) clearSessionCookies(res);
+      return unauthorized(res, "Session expired, please log in again.");
     }
 
-    ok(res, { message: "Password reset link sent to your email" });
+    // 🍪 A cookie-held session stays in cookie mode
+    ok(res, issueSessionTokens(req, res, rotated, cookieToken ? { cookieMode: true } : undefined));
+  } catch (err) {
+    logger.error("Token refresh error", err);
+    serverError(res, "Failed to refresh session");
+  }
+}
+);
+
+/* -------------------------------------------------------------------------- */
+/* 🚪 6. Logout (this device / all devices)                                   */
+/* -------------------------------------------------------------------------- */
+router.post("/logout", requireAuth, async (req, res) => {
+  try {
+    await revokeSession(req.user.sessionId, req.user.impersonator ? "impersonation-ended" : "logout");
+    clearSessionCookies(res);
+    ok(res, { message: "User logged out successfully." });
+  } catch (err) {
+    logger.error("Logout error", err);
+    serverError(res, "Failed to log out");
+  }
+});
+
+router.post("/logout-all", requireAuth, blockImpersonation, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id, "logout-all");
+    clearSessionCookies(res);
+    ok(res, { message: "Logged out from all devices.", revoked });
+  } catch (err) {
+    logger.error("Logout-all error", err);
+    serverError(res, "Failed to log out from all devices");
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🔑 7. Forgot Password / Reset Password (all roles)                         */
+/* -------------------------------------------------------------------------- */
+router.post(
+  "/forgot-password",
+  [body("email").isEmail()],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return badRequest(res, errors.array());
+    const { email } = req.body;
+    const user = await User.findOne({ email });
+
+    // 🕵️ Same answer whether or not the address exists
+    if (user && user.isActive !== false) {
+      const token = crypto.randomBytes(32).toString("hex");
+      user.resetToken = hashToken(token); // 🔒 only the hash is stored
+      user.resetTokenExpires = Date.now() + 1000 * 60 * 15; // 15 min expiry
+      await user.save();
+
+      const resetUrl = `${getFrontendBase()}/#/reset-password/${token}`;
+      logDevLink("Password reset link", resetUrl);
+
+      // 💌 Send Reset Email — not awaited, so the response time doesn't
+      // reveal whether the address exists
+      sendMail({
+        to: user.email,
+        subject: "Password Reset Request",
+        html: `
+          <p>Hello ${user.fullname},</p>
+          <p>We received a request to reset your password.</p>
+          <p><a href="${resetUrl}" target="_blank">Click here to reset your password</a></p>
+          <p>This link will expire in 15 minutes.</p>
+          <br/>
+          <p>If you didn’t request this, you can safely ignore this email.</p>
+        `,
+      }).catch((err) => logger.error("Failed to send password reset email", { message: err?.message }));
+    }
+
+    ok(res, { message: "If an account exists for that email, a reset link has been sent." });
   } catch (err) {
     logger.error("Forgot-password error", err);
     serverError(res, "Failed to process request");
@@ -267,7 +892,7 @@ router.post(
     const { newPassword } = req.body;
 
     const user = await User.findOne({
-      resetToken: token,
+      resetToken: hashToken(token),
       resetTokenExpires: { $gt: Date.now() },
     });
 
@@ -277,8 +902,13 @@ router.post(
     user.passwordHash = newPassword; // 🔒 automatically hashed via pre-save hook
     user.resetToken = undefined;
     user.resetTokenExpires = undefined;
+    user.failedLoginAttempts = 0;
+    user.lockUntil = null;
     await user.save();
 
+    // 🚫 Anyone holding an old session is logged out
+    await revokeAllSessions(user._id, "password-reset");
+
     ok(res, { message: "Password reset successful" });
   } catch (err) {
     logger.error("Reset-password error", err);
@@ -287,4 +917,42 @@ router.post(
 }
 );
 
+/* -------------------------------------------------------------------------- */
+/* 🔁 8. Change Password (logged-in users)                                    */
+/* -------------------------------------------------------------------------- */
+router.post(
+  "/change-password",
+  requireAuth,
+  blockImpersonation,
+  [
+    body("currentPassword").isString().isLength({ min: 1 }),
+    body("newPassword").isString().isLength({ min: 6 }),
+  ],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return badRequest(res, errors.array());
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user) return notFound(res, "User not found");
+
+    const valid = await user.verifyPassword(currentPassword);
+    if (!valid)
+      return unauthorized(res, "Current password is incorrect");
+
+    user.passwordHash = newPassword; // 🔒 automatically hashed via pre-save hook
+    await user.save();
+
+    // 🚫 Keep this device signed in, log out every other one
+    await revokeOtherSessions(user._id, req.user.sessionId, "password-change");
+
+    ok(res, { message: "Password changed successfully" });
+  } catch (err) {
+    logger.error("Change-password error", err);
+    serverError(res, "Failed to change password");
+  }
+}
+);
+
 export default router;
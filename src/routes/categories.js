@@ -0,0 +1,162 @@
+import express from "express";
+import mongoose from "mongoose";
+import Category from "../models/Category.js";
+import Post from "../models/Post.js";
+import { requireAuth, requirePermission } from "../middleware/auth.js";
+import { body, param, validationResult } from "express-validator";
+import { ok, created, badRequest, notFound, serverError } from "../utils/respond.js";
+import logger from "../utils/logger.js";
+import { recordAudit } from "../utils/audit.js";
+import { slugify } from "../utils/slug.js";
+
+const router = express.Router();
+
+// Accepts either an ObjectId or a slug
+function categoryLookup(idOrSlug) {
+  return mongoose.isValidObjectId(idOrSlug) ? { _id: idOrSlug } : { slug: String(idOrSlug).toLowerCase() };
+}
+
+async function publishedCounts() {
+  const rows = await Post.aggregate([
+    { $match: Post.publicFilter({ category: { $ne: null } }) },
+    { $group: { _id: "$category", count: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map((r) => [String(r._id), r.count]));
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🔹 GET — Public (all categories with published post counts)                */
+/* -------------------------------------------------------------------------- */
+router.get("/", async (_req, res) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find().sort({ order: 1, name: 1 }).lean(),
+      publishedCounts(),
+    ]);
+    ok(res, {
+      categories: categories.map((c) => ({ ...c, postCount: counts.get(String(c._id)) || 0 })),
+    });
+  } catch (err) {
+    logger.error("Error fetching categories", err);
+    serverError(res, "Failed to fetch categories");
+  }
+});
+
+router.get("/:idOrSlug", [param("idOrSlug").isString()], async (req, res) => {
+  try {
+    const category = await Category.findOne(categoryLookup(req.params.idOrSlug)).lean();
+    if (!category) return notFound(res, "Category not found");
+    const postCount = await Post.countDocuments(Post.publicFilter({ category: category._id }));
+    ok(res, {
+      category: { ...category, postCount },
+      feed: `/api/posts?category=${category.slug}`,
+    });
+  } catch (err) {
+    logger.error("Error fetching category", err);
+    serverError(res, "Failed to fetch category");
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🔸 POST / PUT / DELETE — Category managers                                 */
+/* -------------------------------------------------------------------------- */
+router.post(
+  "/",
+  requireAuth,
+  requirePermission("categories:manage"),
+  [
+    body("name").isString().trim().isLength({ min: 2, max: 60 }),
+    body("slug").optional({ checkFalsy: true }).isString().trim(),
+    body("description").optional().isString().trim().isLength({ max: 500 }),
+    body("order").optional().isInt(),
+  ],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return badRequest(res, errors.array());
+    const { name, description, order } = req.body;
+    const slug = slugify(req.body.slug || name);
+    if (!slug) return badRequest(res, "Name must contain letters or numbers");
+    if (await Category.exists({ slug })) return badRequest(res, `A category with slug "${slug}" already exists`);
+
+    const category = await Category.create({ name, slug, description, order });
+    await recordAudit(req, { action: "category.create", targetModel: "Category", targetId: category._id, after: category });
+    created(res, { category });
+  } catch (err) {
+    logger.error("Error creating category", err);
+    serverError(res, "Failed to create category");
+  }
+}
+);
+
+router.put(
+  "/:id",
+  requireAuth,
+  requirePermission("categories:manage"),
+  [
+    param("id").isMongoId(),
+    body("name").optional().isString().trim().isLength({ min: 2, max: 60 }),
+    body("slug").optional({ checkFalsy: true }).isString().trim(),
+    body("description").optional().isString().trim().isLength({ max: 500 }),
+    body("order").optional().isInt(),
+  ],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return badRequest(res, errors.array());
+    const category = await Category.findById(req.params.id);
+    if (!category) return notFound(res, "Category not found");
+    const before = category.toObject();
+
+    if (req.body.slug) {
+      const slug = slugify(req.body.slug);
+      if (!slug) return badRequest(res, "Slug must contain letters or numbers");
+      if (await Category.exists({ slug, _id: { $ne: category._id } })) {
+        return badRequest(res, `A category with slug "${slug}" already exists`);
+      }
+      category.slug = slug;
+    }
+    for (const key of ["name", "description", "order"]) {
+      if (req.body[key] !== undefined) category[key] = req.body[key];
+    }
+    await category.save();
+    await recordAudit(req, { action: "category.update", targetModel: "Category", targetId: category._id, before, after: category });
+    ok(res, { category });
+  } catch (err) {
+    logger.error("Error updating category", err);
+    serverError(res, "Failed to update category");
+  }
+}
+);
+
+// Posts in a deleted category stay published, just uncategorised
+router.delete(
+  "/:id",
+  requireAuth,
+  requirePermission("categories:manage"),
+  [param("id").isMongoId()],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return badRequest(res, errors.array());
+    const category = await Category.findById(req.params.id);
+    if (!category) return notFound(res, "Category not found");
+
+    const { modifiedCount } = await Post.updateMany({ category: category._id }, { $set: { category: null } });
+    await category.deleteOne();
+    await recordAudit(req, {
+      action: "category.delete",
+      targetModel: "Category",
+      targetId: category._id,
+      before: category,
+      meta: { postsUncategorised: modifiedCount },
+    });
+    ok(res, { message: "Category deleted", postsUncategorised: modifiedCount });
+  } catch (err) {
+    logger.error("Error deleting category", err);
+    serverError(res, "Failed to delete category");
+  }
+}
+);
+
+export default router;
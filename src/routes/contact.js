@@ -1,10 +1,11 @@
 import express from "express";
 import Contact from "../models/Contact.js";
-import { requireAuth } from "../middleware/auth.js";
+import { requireAuth, requirePermission } from "../middleware/auth.js";
 import nodemailer from "nodemailer";
 import { body, validationResult } from "express-validator";
-import { ok, badRequest, forbidden, serverError } from "../utils/respond.js";
+import { ok, badRequest, serverError } from "../utils/respond.js";
 import logger from "../utils/logger.js";
+import { recordAudit } from "../utils/audit.js";
 
 const router = express.Router();
 
@@ -32,11 +33,12 @@ router.get("/", async (req, res) => {
 });
 
 /* -------------------------------------------------------------------------- */
-/* 🔸 PUT — Admin Only (Update Contact Info)                                 */
+/* 🔸 PUT — Content editors (Update Contact Info)                            */
 /* -------------------------------------------------------------------------- */
 router.put(
   "/",
   requireAuth,
+  requirePermission("contact:write"),
   [
     body("email").optional().isEmail(),
     body("phone").optional().isString().trim(),
@@ -46,13 +48,10 @@ router.put(
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return badRequest(res, errors.array());
-    const userRole = req.user?.role;
-    if (userRole !== "admin") {
-      return forbidden(res, "Access denied — Admins only");
-    }
 
     const { email, phone, message } = req.body;
     let contact = await Contact.findOne();
+    const before = contact ? contact.toObject() : null;
 
     if (!contact) {
       contact = await Contact.create({ email, phone, message });
@@ -62,6 +61,7 @@ router.put(
       contact.message = message;
       await contact.save();
     }
+    await recordAudit(req, { action: "contact.update", targetModel: "Contact", targetId: contact._id, before, after: contact });
 
     ok(res, { contact });
   } catch (err) {
@@ -7,12 +7,12 @@ import Stripe from 'stripe';
 import nodemailer from 'nodemailer';
 import PDFDocument from 'pdfkit';
 import Member from '../models/Member.js';
-import { requireAuth, requireAdmin } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
 
 const router = Router();
 
 // Recent donations for admin notifications
-router.get('/recent', async (req, res) => {
+router.get('/recent', requireAuth, requirePermission('donations:read'), async (req, res) => {
   try {
     const limit = Math.min(parseInt(req.query.limit) || 20, 100);
     const donations = await Donation.find({})
@@ -26,8 +26,8 @@ router.get('/recent', async (req, res) => {
   }
 });
 
-// Simple placeholder donation endpoint (legacy create record)
-router.post('/', [
+// Manual donation record (legacy) — staff only; public gifts go through Stripe
+router.post('/', requireAuth, requirePermission('donations:write'), [
   body('amount').isFloat({ gt: 0 }),
   body('donorName').optional().isString().trim(),
   body('memberId').optional().isString().trim(),
@@ -265,7 +265,7 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
 });
 
 // Donation stats for dashboard
-router.get('/stats', async (_req, res) => {
+router.get('/stats', requireAuth, requirePermission('donations:read'), async (_req, res) => {
   try {
     const succeeded = await Donation.find({ status: 'succeeded' });
     const totalDonations = succeeded.length;
@@ -280,7 +280,7 @@ router.get('/stats', async (_req, res) => {
   }
 });
 
-router.get('/recent', async (_req, res) => {
+router.get('/recent', requireAuth, requirePermission('donations:read'), async (_req, res) => {
   try {
     const recent = await Donation.find({ status: 'succeeded' }).sort({ createdAt: -1 }).limit(10).lean();
     ok(res, { recent });
@@ -290,8 +290,8 @@ router.get('/recent', async (_req, res) => {
   }
 });
 
-// All donations made to a specific member (admin only)
-router.get('/by-member/:memberId', requireAuth, requireAdmin, async (req, res) => {
+// All donations made to a specific member (finance staff)
+router.get('/by-member/:memberId', requireAuth, requirePermission('donations:read'), async (req, res) => {
   try {
     const memberId = req.params.memberId;
     const donations = await Donation.find({ memberId, status: 'succeeded' })
@@ -304,8 +304,8 @@ router.get('/by-member/:memberId', requireAuth, requireAdmin, async (req, res) =
   }
 });
 
-// Get donation detail by id (admin only)
-router.get('/:id', requireAuth, requireAdmin, async (req, res) => {
+// Get donation detail by id (finance staff)
+router.get('/:id', requireAuth, requirePermission('donations:read'), async (req, res) => {
   try {
     const d = await Donation.findById(req.params.id).lean();
     if (!d) return badRequest(res, 'Donation not found');
@@ -317,8 +317,8 @@ router.get('/:id', requireAuth, requireAdmin, async (req, res) => {
 });
 
 export default router;
-// Receipt PDF download for a donation (admin only)
-router.get('/:id/receipt', requireAuth, requireAdmin, async (req, res) => {
+// Receipt PDF download for a donation (finance staff)
+router.get('/:id/receipt', requireAuth, requirePermission('receipts:read'), async (req, res) => {
   try {
     const d = await Donation.findById(req.params.id).lean();
     if (!d) return badRequest(res, 'Donation not found');
@@ -1,11 +1,17 @@
 import express from "express";
+import mongoose from "mongoose";
 import multer from "multer";
 import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
-import Member from "../models/Member.js";
+import Member, { CORRECTABLE_FIELDS } from "../models/Member.js";
+import MemberCorrection from "../models/MemberCorrection.js";
+import User from "../models/User.js";
+import { requireAuth, requirePermission } from "../middleware/auth.js";
 import { ok, badRequest, notFound, serverError } from "../utils/respond.js";
 import logger from "../utils/logger.js";
+import { recordAudit } from "../utils/audit.js";
+import { findMemberMatches, linkMember, unlinkMember } from "../utils/memberLink.js";
 import { UPLOADS_ROOT, getPublicBase, generateFilename, extractUploadsRel } from "../utils/media.js";
 import { uploadFileToFirebase, deleteFirebaseFile, gcsPathFromUrl } from "../utils/firebase.js";
 import { body, param, query, validationResult } from "express-validator";
@@ -37,10 +43,84 @@ if (!fsSync.existsSync("temp_uploads")) {
   fsSync.mkdirSync("temp_uploads");
 }
 
+/* ========================================================================== */
+/* 🙋 MY REGISTRY PROFILE — the record linked to the signed-in account        */
+/* ========================================================================== */
+const MAX_PENDING_CORRECTIONS = 5;
+
+async function findOwnMember(req) {
+  if (!mongoose.isValidObjectId(req.user.id)) return null;
+  return Member.findOne({ userId: req.user.id });
+}
+
+router.get("/me", requireAuth, async (req, res) => {
+  try {
+    const member = await findOwnMember(req);
+    if (!member) return notFound(res, "No registry record is linked to your account");
+    const corrections = await MemberCorrection.find({ memberId: member._id })
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .lean();
+    ok(res, { member, correctableFields: CORRECTABLE_FIELDS, corrections });
+  } catch (err) {
+    logger.error("Error fetching own registry profile", err);
+    serverError(res, "Failed to load your registry profile");
+  }
+});
+
+router.post(
+  "/me/corrections",
+  requireAuth,
+  [
+    body("changes").isObject(),
+    body("note").optional().isString().trim().isLength({ max: 1000 }),
+  ],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return badRequest(res, errors.array());
+
+    const member = await findOwnMember(req);
+    if (!member) return notFound(res, "No registry record is linked to your account");
+
+    const changes = {};
+    for (const [field, value] of Object.entries(req.body.changes)) {
+      if (!CORRECTABLE_FIELDS.includes(field)) {
+        return badRequest(res, `"${field}" cannot be changed. Allowed: ${CORRECTABLE_FIELDS.join(", ")}`);
+      }
+      if (typeof value !== "string" || value.length > 500) {
+        return badRequest(res, `"${field}" must be a string of at most 500 characters`);
+      }
+      if (String(member[field] ?? "") !== value.trim()) changes[field] = value.trim();
+    }
+    if (Object.keys(changes).length === 0) {
+      return badRequest(res, "No changes to request");
+    }
+
+    const pending = await MemberCorrection.countDocuments({ memberId: member._id, status: "pending" });
+    if (pending >= MAX_PENDING_CORRECTIONS) {
+      return badRequest(res, "You already have several corrections awaiting review");
+    }
+
+    const correction = await MemberCorrection.create({
+      memberId: member._id,
+      userId: req.user.id,
+      changes,
+      note: req.body.note || "",
+    });
+    logger.info("Registry correction requested", { memberId: String(member._id) });
+    ok(res, { message: "Your correction request has been sent for review.", correction });
+  } catch (err) {
+    logger.error("Error requesting registry correction", err);
+    serverError(res, "Failed to submit correction request");
+  }
+}
+);
+
 /* ========================================================================== */
 /* 📋 GET — Fetch all members                                                 */
 /* ========================================================================== */
-router.get("/", async (req, res) => {
+router.get("/", requireAuth, requirePermission("members:read"), async (req, res) => {
   try {
     const members = await Member.find().sort({ createdAt: -1 });
     const baseUrl = getPublicBase(req);
@@ -69,6 +149,8 @@ router.get("/", async (req, res) => {
 /* ========================================================================== */
 router.get(
   "/filter",
+  requireAuth,
+  requirePermission("members:read"),
   [query("start").isISO8601(), query("end").isISO8601()],
   async (req, res) => {
   try {
@@ -99,7 +181,7 @@ router.get(
 /* ========================================================================== */
 /* 📊 ANALYTICS — Member statistics summary                                   */
 /* ========================================================================== */
-router.get("/stats", async (req, res) => {
+router.get("/stats", requireAuth, requirePermission("members:read"), async (req, res) => {
   try {
     const total = await Member.countDocuments();
     const active = await Member.countDocuments({ status: "active" });
@@ -134,6 +216,8 @@ router.get("/stats", async (req, res) => {
 /* ========================================================================== */
 router.post(
   "/",
+  requireAuth,
+  requirePermission("members:write"),
   upload.single("avatar"),
   [
     body("name").isString().trim().isLength({ min: 2 }),
@@ -215,6 +299,7 @@ router.post(
 
     const savedMember = await newMember.save();
     logger.info("Member saved", { name: savedMember.name });
+    await recordAudit(req, { action: "member.create", targetModel: "Member", targetId: savedMember._id, after: savedMember });
     return ok(res, { member: savedMember });
   } catch (err) {
     logger.error("Error adding member", err);
@@ -228,6 +313,8 @@ router.post(
 /* ========================================================================== */
 router.put(
   "/:id",
+  requireAuth,
+  requirePermission("members:write"),
   upload.single("avatar"),
   [param("id").isString()],
   async (req, res) => {
@@ -250,6 +337,7 @@ router.put(
     // Ensure registration date exists
     const existing = await Member.findById(req.params.id);
     if (!existing) return notFound(res, "Member not found");
+    const before = existing.toObject();
 
     if (!updateData.dateOfRegistration && !existing.dateOfRegistration) {
       updateData.dateOfRegistration = new Date().toISOString().split("T")[0];
@@ -257,6 +345,7 @@ router.put(
 
     Object.assign(existing, updateData);
     await existing.save();
+    await recordAudit(req, { action: "member.update", targetModel: "Member", targetId: existing._id, before, after: existing });
 
     logger.info("Member updated", { name: existing.name });
     ok(res, { member: existing });
@@ -272,6 +361,8 @@ router.put(
 /* ========================================================================== */
 router.delete(
   "/:id",
+  requireAuth,
+  requirePermission("members:write"),
   [param("id").isString()],
   async (req, res) => {
   try {
@@ -284,6 +375,7 @@ router.delete(
     }
 
     await member.deleteOne();
+    await recordAudit(req, { action: "member.delete", targetModel: "Member", targetId: member._id, before: member });
     logger.info("Member deleted", { name: member.name });
     ok(res, { message: "Member deleted successfully" });
   } catch (err) {
@@ -293,6 +385,212 @@ router.delete(
 }
 );
 
+/* ========================================================================== */
+/* 🔗 ACCOUNT LINKING — connect registry records to login accounts            */
+/* ========================================================================== */
+router.get("/link/suggestions", requireAuth, requirePermission("members:read"), async (_req, res) => {
+  try {
+    ok(res, await findMemberMatches());
+  } catch (err) {
+    logger.error("Error matching members to accounts", err);
+    serverError(res, "Failed to find account matches");
+  }
+});
+
+router.post(
+  "/link/auto",
+  requireAuth,
+  requirePermission("members:write"),
+  [body("dryRun").optional().isBoolean()],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return badRequest(res, errors.array());
+
+    const { matches, ambiguous } = await findMemberMatches();
+    if (req.body.dryRun) return ok(res, { dryRun: true, matches, ambiguous });
+
+    const linked = [];
+    for (const m of matches) {
+      const member = await Member.findOne({ _id: m.memberId, userId: null });
+      if (!member) continue;
+      await linkMember(member, m.userId, "auto-match");
+      await recordAudit(req, {
+        action: "member.link",
+        targetModel: "Member",
+        targetId: member._id,
+        after: { userId: m.userId },
+        meta: { auto: true, matchedBy: m.matchedBy },
+      });
+      linked.push(m);
+    }
+    logger.info("Auto-linked members", { count: linked.length });
+    ok(res, { linked, ambiguous });
+  } catch (err) {
+    logger.error("Error auto-linking members", err);
+    serverError(res, "Failed to auto-link members");
+  }
+}
+);
+
+router.post(
+  "/:id/link",
+  requireAuth,
+  requirePermission("members:write"),
+  [param("id").isMongoId(), body("userId").isMongoId()],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return badRequest(res, errors.array());
+
+    const [member, user] = await Promise.all([
+      Member.findById(req.params.id),
+      User.findById(req.body.userId).select("fullname email"),
+    ]);
+    if (!member) return notFound(res, "Member not found");
+    if (!user) return notFound(res, "User not found");
+
+    const other = await Member.findOne({ userId: user._id, _id: { $ne: member._id } }).select("name");
+    if (other) return badRequest(res, `That account is already linked to ${other.name}`);
+
+    const before = { userId: member.userId };
+    await linkMember(member, user._id, req.user.id);
+    await recordAudit(req, {
+      action: "member.link",
+      targetModel: "Member",
+      targetId: member._id,
+      before,
+      after: { userId: user._id },
+    });
+    ok(res, { member });
+  } catch (err) {
+    logger.error("Error linking member", err);
+    serverError(res, "Failed to link member");
+  }
+}
+);
+
+router.delete(
+  "/:id/link",
+  requireAuth,
+  requirePermission("members:write"),
+  [param("id").isMongoId()],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return badRequest(res, errors.array());
+
+    const member = await Member.findById(req.params.id);
+    if (!member) return notFound(res, "Member not found");
+    if (!member.userId) return badRequest(res, "Member is not linked to an account");
+
+    const before = { userId: member.userId };
+    await unlinkMember(member);
+    await recordAudit(req, {
+      action: "member.unlink",
+      targetModel: "Member",
+      targetId: member._id,
+      before,
+      after: { userId: null },
+    });
+    ok(res, { member });
+  } catch (err) {
+    logger.error("Error unlinking member", err);
+    serverError(res, "Failed to unlink member");
+  }
+}
+);
+
+/* ========================================================================== */
+/* 📝 CORRECTION REQUESTS — staff review                                      */
+/* ========================================================================== */
+router.get(
+  "/corrections",
+  requireAuth,
+  requirePermission("members:read"),
+  [query("status").optional().isIn(["pending", "approved", "rejected", "all"])],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return badRequest(res, errors.array());
+    const status = req.query.status || "pending";
+
+    const corrections = await MemberCorrection.find(status === "all" ? {} : { status })
+      .populate("memberId", "name email phone")
+      .populate("userId", "fullname email")
+      .sort({ createdAt: -1 });
+    ok(res, { corrections });
+  } catch (err) {
+    logger.error("Error fetching correction requests", err);
+    serverError(res, "Failed to fetch correction requests");
+  }
+}
+);
+
+router.post(
+  "/corrections/:id/:decision",
+  requireAuth,
+  requirePermission("members:write"),
+  [
+    param("id").isMongoId(),
+    param("decision").isIn(["approve", "reject"]),
+    body("reviewNote").optional().isString().trim().isLength({ max: 1000 }),
+  ],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return badRequest(res, errors.array());
+
+    const correction = await MemberCorrection.findById(req.params.id);
+    if (!correction) return notFound(res, "Correction request not found");
+    if (correction.status !== "pending") {
+      return badRequest(res, `Correction request is already ${correction.status}`);
+    }
+
+    let member = null;
+    if (req.params.decision === "approve") {
+      member = await Member.findById(correction.memberId);
+      if (!member) return notFound(res, "Member not found");
+      const before = member.toObject();
+      Object.assign(member, correction.changes);
+      try {
+        await member.save();
+      } catch (saveErr) {
+        if (saveErr?.code === 11000) return badRequest(res, "Another member already uses that phone number");
+        if (saveErr?.name === "ValidationError") return badRequest(res, saveErr.message);
+        throw saveErr;
+      }
+      await recordAudit(req, {
+        action: "member.update",
+        targetModel: "Member",
+        targetId: member._id,
+        before,
+        after: member,
+        meta: { correctionId: String(correction._id) },
+      });
+    }
+
+    correction.status = req.params.decision === "approve" ? "approved" : "rejected";
+    correction.reviewedBy = req.user.id;
+    correction.reviewedByName = req.user.fullname;
+    correction.reviewedAt = new Date();
+    correction.reviewNote = req.body.reviewNote || "";
+    await correction.save();
+    await recordAudit(req, {
+      action: `member.correction.${correction.status === "approved" ? "approve" : "reject"}`,
+      targetModel: "MemberCorrection",
+      targetId: correction._id,
+      meta: { memberId: String(correction.memberId) },
+    });
+
+    ok(res, { correction, ...(member && { member }) });
+  } catch (err) {
+    logger.error("Error reviewing correction request", err);
+    serverError(res, "Failed to review correction request");
+  }
+}
+);
+
 export default router;
 function stableFilenameFromUrl(u) {
   try {
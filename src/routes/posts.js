@@ -5,16 +5,46 @@ import path from "path";
 import { fileURLToPath } from "url";
 import https from "https";
 import crypto from "crypto";
-import Post from "../models/Post.js";
-import Comment from "../models/Comment.js";
-import Like from "../models/Like.js";
-import { requireAuth } from "../middleware/auth.js";
+import mongoose from "mongoose";
+import Post, { POST_STATUSES, normalizeTags } from "../models/Post.js";
+import Category from "../models/Category.js";
+import PostRevision from "../models/PostRevision.js";
+import Comment, { MAX_COMMENT_DEPTH, COMMENT_STATUSES } from "../models/Comment.js";
+import CommentReport from "../models/CommentReport.js";
+import Reaction from "../models/Reaction.js";
+import { requireAuth, requirePermission, optionalAuth } from "../middleware/auth.js";
 import { body, param, query, validationResult } from "express-validator";
-import { ok, created, badRequest, forbidden, serverError } from "../utils/respond.js";
+import { ok, created, badRequest, forbidden, notFound, serverError } from "../utils/respond.js";
 import rateLimit from "express-rate-limit";
 import { UPLOADS_ROOT, getPublicBase, extractUploadsRel, generateFilename } from "../utils/media.js";
 import logger from "../utils/logger.js";
+import { recordAudit } from "../utils/audit.js";
 import { uploadFileToFirebase, deleteFirebaseFile, gcsPathFromUrl } from "../utils/firebase.js";
+import { parseZonedDateTime, formatZoned, FOUNDATION_TIMEZONE } from "../utils/time.js";
+import { buildSeo } from "../utils/postSeo.js";
+import { slugify } from "../utils/slug.js";
+import { recordRevision, ensureBaseRevision, diffSnapshots, snapshotOf } from "../utils/postRevisions.js";
+import { presentComment, resolveReplyParent, attachReplies, deleteComment, isVisibleComment } from "../utils/commentThreads.js";
+import { REACTION_TYPES, describeReactions } from "../config/reactions.js";
+import {
+  getEnabledReactions,
+  reactionSummary,
+  summarizeReactions,
+  toggleReaction,
+  removeReaction,
+} from "../utils/reactions.js";
+import { fetchFeedPage, decodeCursor } from "../utils/postFeed.js";
+import { FEED_FORMATS, FEED_RENDERERS, feedEntry, feedChannel } from "../utils/syndication.js";
+import { getFrontendBase } from "../utils/mailer.js";
+import { bumpCommentCount } from "../utils/postCounters.js";
+import {
+  getCommentSettings,
+  canModerateComments,
+  screenComment,
+  initialCommentStatus,
+  setCommentStatus,
+  applyReport,
+} from "../utils/commentModeration.js";
 
 const router = Router();
 
@@ -158,41 +188,195 @@ async function isUrlUsedByOtherPosts(url, excludeId) {
   }
 }
 
+// req.ip is proxy-verified ("trust proxy"); a raw X-Forwarded-For is client-set
+// and would let anyone mint fresh visitor ids
 function getVisitorId(req) {
-  const ip = (req.headers["x-forwarded-for"]?.split(",")[0] || req.ip || "").toString();
+  const ip = String(req.ip || "");
   const ua = (req.get("user-agent") || "").toString();
   const raw = `${ip}|${ua}`;
   return crypto.createHash("sha256").update(raw).digest("hex").slice(0, 16);
 }
 
+// Likes, reactions and comments left before signing in are keyed by the
+// visitor hash, so a signed-in user owns records under either id. New records
+// use the first one (the account id when signed in).
+function visitorIds(req) {
+  return [...new Set([req.user?.id, getVisitorId(req)].filter(Boolean))];
+}
+
 // Using getPublicBase from utils
 
+/* -------------------------------------------------------------------------- */
+/* 🗓️ Publishing workflow helpers                                             */
+/* -------------------------------------------------------------------------- */
+const canManagePosts = (req) => !!req.user?.permissions?.includes("posts:write");
+
+// Validates a requested status (+ publishAt for scheduling) and returns the
+// fields to set on the post, or { error }.
+function resolvePublishing({ status, publishAt }, allowed) {
+  if (!allowed.includes(status)) {
+    return { error: `status must be one of: ${allowed.join(", ")}` };
+  }
+  const now = new Date();
+  if (status === "scheduled") {
+    const when = parseZonedDateTime(publishAt);
+    if (!when) return { error: `publishAt is required (ISO date/time, ${FOUNDATION_TIMEZONE} if no offset)` };
+    if (when <= now) return { error: "publishAt must be in the future" };
+    return { fields: { status, publishAt: when } };
+  }
+  // publishedAt is kept on re-publish so the post returns to its old feed slot
+  if (status === "published") return { fields: { status, publishAt: null, unpublishedAt: null } };
+  if (status === "unpublished") return { fields: { status, publishAt: null, unpublishedAt: now } };
+  return { fields: { status, publishAt: null } };
+}
+
+const STATUS_AUDIT_ACTIONS = {
+  draft: "post.draft",
+  scheduled: "post.schedule",
+  published: "post.publish",
+  unpublished: "post.unpublish",
+};
+
+function withScheduleInfo(post) {
+  return { ...post, publishAtLocal: formatZoned(post.publishAt), timezone: FOUNDATION_TIMEZONE };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🏷️ Category / tag helpers                                                  */
+/* -------------------------------------------------------------------------- */
+// Accepts a category id or slug; "" / "none" clears it. Returns { id } or { error }.
+async function resolveCategory(value) {
+  if (value === undefined) return {};
+  if (value === null || value === "" || value === "none") return { id: null };
+  const lookup = mongoose.isValidObjectId(value) ? { _id: value } : { slug: String(value).toLowerCase() };
+  const category = await Category.findOne(lookup).select("_id").lean();
+  return category ? { id: category._id } : { error: `Unknown category: ${value}` };
+}
+
+// Builds the ?category=&tag= part of a feed query; null when the category
+// doesn't exist (so the feed is empty rather than unfiltered).
+async function taxonomyFilter({ category, tag }) {
+  const filter = {};
+  let categoryDoc = null;
+  if (category) {
+    const lookup = mongoose.isValidObjectId(category) ? { _id: category } : { slug: String(category).toLowerCase() };
+    categoryDoc = await Category.findOne(lookup).lean();
+    if (!categoryDoc) return { filter: null };
+    filter.category = categoryDoc._id;
+  }
+  if (tag) {
+    const [normalized] = normalizeTags([String(tag)]);
+    if (normalized) filter.tags = normalized;
+  }
+  return { filter, category: categoryDoc };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🔗 Slug / SEO input helpers                                                */
+/* -------------------------------------------------------------------------- */
+const SEO_URL = /^https?:\/\/\S+$/i;
+
+// `seo` arrives as an object (JSON body) or a JSON string (multipart form).
+// Returns { fields } with only the keys provided, or { error }.
+function parseSeoInput(raw) {
+  if (raw === undefined) return { fields: {} };
+  let seo = raw;
+  if (typeof raw === "string") {
+    try {
+      seo = JSON.parse(raw);
+    } catch {
+      return { error: "seo must be a JSON object" };
+    }
+  }
+  if (!seo || typeof seo !== "object" || Array.isArray(seo)) return { error: "seo must be an object" };
+
+  const fields = {};
+  for (const key of ["metaDescription", "canonicalUrl", "socialImage"]) {
+    if (seo[key] === undefined) continue;
+    const value = String(seo[key] ?? "").trim();
+    if (key === "metaDescription" && value.length > 300) {
+      return { error: "seo.metaDescription must be at most 300 characters" };
+    }
+    if (key !== "metaDescription" && value && !SEO_URL.test(value)) {
+      return { error: `seo.${key} must be an http(s) URL` };
+    }
+    fields[`seo.${key}`] = value;
+  }
+  return { fields };
+}
+
+// A slug chosen by an editor must be free (including other posts' history)
+async function claimSlug(raw, excludeId) {
+  const slug = slugify(raw, 80);
+  if (!slug) return { error: "slug must contain letters or numbers" };
+  const taken = await Post.exists({
+    _id: { $ne: excludeId },
+    $or: [{ slug }, { previousSlugs: slug }],
+  });
+  return taken ? { error: `The slug "${slug}" is already in use` } : { slug };
+}
+
+// Likes and comments are only accepted on posts the public can see
+function findPublicPost(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Post.findOne(Post.publicFilter({ _id: id })).select("_id").lean();
+}
+
 const idKey = (req) => req.user?.id || getVisitorId(req);
+
+// Feed clients written before reactions read likesCount / liked
+const withLegacyLikes = (summary) => ({
+  ...summary,
+  likesCount: summary.reactions.like || 0,
+  liked: summary.myReaction === "like",
+});
 const likeLimiter = rateLimit({ windowMs: 60 * 1000, max: 30, standardHeaders: true, legacyHeaders: false, keyGenerator: idKey });
 const commentLimiter = rateLimit({ windowMs: 60 * 1000, max: 10, standardHeaders: true, legacyHeaders: false, keyGenerator: idKey });
 
+// 🚩 Reports can hide comments, so anonymous reporters are identified by the
+//    proxy-verified req.ip ("trust proxy"), never by client-sent headers
+const reporterKey = (req) =>
+  req.user?.id || `ip:${crypto.createHash("sha256").update(String(req.ip || "")).digest("hex").slice(0, 16)}`;
+const reportLimiter = rateLimit({ windowMs: 60 * 60 * 1000, max: 20, standardHeaders: true, legacyHeaders: false, keyGenerator: reporterKey });
+
 /* ========================================================================== */
-/* 📝 CREATE NEW POST — Admin Only (auto dev fallback)                         */
+/* 📝 CREATE NEW POST — Content editors (auto dev fallback)                    */
 /* ========================================================================== */
 router.post(
   "/",
   requireAuth,
+  requirePermission("posts:write"),
   upload.fields([
     { name: "images", maxCount: 10 },
     { name: "media", maxCount: 10 },
   ]),
-  [body("content").optional().isString()],
+  [
+    body("content").optional().isString(),
+    body("status").optional().isIn(["draft", "scheduled", "published"]),
+    body("publishAt").optional().isString(),
+    body("category").optional({ nullable: true }).isString(),
+    body("title").optional().isString().trim().isLength({ max: 200 }),
+    body("slug").optional({ checkFalsy: true }).isString(),
+  ],
   async (req, res) => {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) return badRequest(res, errors.array());
-      const { content } = req.body;
+      const { content, title } = req.body;
       const user = req.user;
 
-      // ✅ Restrict post creation to admins only
-      if (user.role !== "admin") {
-        return forbidden(res, "Access denied — only admins can create posts");
-      }
+      const seo = parseSeoInput(req.body.seo);
+      if (seo.error) return badRequest(res, seo.error);
+      const customSlug = req.body.slug ? await claimSlug(req.body.slug) : {};
+      if (customSlug.error) return badRequest(res, customSlug.error);
+
+      const publishing = resolvePublishing(
+        { status: req.body.status || "published", publishAt: req.body.publishAt },
+        ["draft", "scheduled", "published"]
+      );
+      if (publishing.error) return badRequest(res, publishing.error);
+      const category = await resolveCategory(req.body.category);
+      if (category.error) return badRequest(res, category.error);
 
       const incomingFiles = [
         ...(Array.isArray(req.files?.images) ? req.files.images : []),
@@ -240,17 +424,30 @@ router.post(
       }
 
       const newPost = new Post({
+        title,
         content,
+        slug: customSlug.slug, // otherwise generated on save
         imageUrls: media,
         member: { fullname: user.fullname, avatar: user.avatar },
-        userId: user.id,
+        memberId: mongoose.isValidObjectId(user.id) ? user.id : undefined,
         likes: [],
+        category: category.id || null,
+        tags: normalizeTags(req.body.tags),
+        ...publishing.fields,
       });
+      newPost.set(seo.fields);
 
       await newPost.save();
+      await recordRevision(newPost, user, "create");
       logger.info("Post created successfully", { id: newPost._id });
+      await recordAudit(req, { action: "post.create", targetModel: "Post", targetId: newPost._id, after: newPost });
 
-      created(res, { message: "Post created successfully", post: newPost });
+      const message = {
+        draft: "Draft saved",
+        scheduled: `Post scheduled for ${formatZoned(newPost.publishAt)} (${FOUNDATION_TIMEZONE})`,
+        published: "Post created successfully",
+      }[newPost.status];
+      created(res, { message, post: withScheduleInfo(newPost.toObject()) });
     } catch (err) {
       logger.error("Fatal error creating post", err);
       serverError(res, err?.message || "Failed to create post");
@@ -263,38 +460,44 @@ router.post(
 /* ========================================================================== */
 router.get(
   "/",
+  optionalAuth,
   [
     query("page").optional().isInt({ min: 1 }),
+    query("after").optional().isString(),
     query("limit").optional().isInt({ min: 1, max: 50 }),
+    query("category").optional().isString(),
+    query("tag").optional().isString(),
   ],
   async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return badRequest(res, errors.array());
-    const userId = req.user?.id || getVisitorId(req);
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const after = req.query.after ? decodeCursor(req.query.after) : null;
+    if (req.query.after && !after) return badRequest(res, "Invalid cursor");
+
+    const taxonomy = await taxonomyFilter(req.query);
+    if (!taxonomy.filter) {
+      return ok(res, { posts: [], category: null, total: 0, hasMore: false, nextCursor: null });
+    }
 
-    const posts = await Post.find({})
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .lean();
+    // ?after= is the fast path; ?page= still works for older clients
+    const [feed, total, enabledReactions] = await Promise.all([
+      fetchFeedPage({
+        filter: taxonomy.filter,
+        limit,
+        after,
+        skip: after ? 0 : (page - 1) * limit,
+        visitorIds: visitorIds(req),
+      }),
+      Post.countDocuments(Post.publicFilter(taxonomy.filter)),
+      getEnabledReactions(),
+    ]);
 
     const baseUrl = getPublicBase(req);
     const enriched = await Promise.all(
-      posts.map(async (p) => {
-        const [commentsCount, likesCount, userLiked, latestComments] = await Promise.all([
-          Comment.countDocuments({ postId: p._id }),
-          Like.countDocuments({ postId: p._id }),
-          Like.exists({ postId: p._id, userId }),
-          Comment.find({ postId: p._id })
-            .sort({ createdAt: -1 })
-            .limit(3)
-            .select({ text: 1, author: 1, createdAt: 1 })
-            .lean(),
-        ]);
+      feed.posts.map(async (p) => {
       const media = Array.isArray(p.imageUrls) ? p.imageUrls : [];
       let changed = false;
       const mappedMedia = await Promise.all(
@@ -318,14 +521,31 @@ router.get(
           return typeof m === "string" ? { full: src, thumb: src } : m;
         })
       );
-      if (changed) {
+      // Only write back when the stored URLs actually differ
+      if (changed && JSON.stringify(mappedMedia) !== JSON.stringify(media)) {
         Post.updateOne({ _id: p._id }, { $set: { imageUrls: mappedMedia } }).catch(() => {});
       }
-        return { ...p, imageUrls: mappedMedia, commentsCount, likesCount, liked: !!userLiked, latestComments };
+        const { reactionCounts, myReaction, ...post } = p;
+        return {
+          ...post,
+          imageUrls: mappedMedia,
+          commentsCount: p.commentsCount || 0,
+          ...withLegacyLikes(summarizeReactions(reactionCounts, myReaction, enabledReactions)),
+          latestComments: p.latestComments || [],
+        };
       })
     );
 
-    ok(res, { posts: enriched });
+    ok(res, {
+      posts: enriched,
+      total,
+      hasMore: feed.hasMore,
+      nextCursor: feed.nextCursor,
+      ...(!after && { page, pages: Math.ceil(total / limit) }),
+      reactionTypes: describeReactions(enabledReactions),
+      ...(taxonomy.category && { category: taxonomy.category }),
+      ...(req.query.tag && { tag: normalizeTags([req.query.tag])[0] || null }),
+    });
   } catch (err) {
     logger.error("Error fetching posts", err?.message || err);
     serverError(res, "Failed to fetch posts");
@@ -337,18 +557,17 @@ router.get(
 router.get(
   "/comments/recent",
   requireAuth,
+  requirePermission("comments:moderate"),
   [query("limit").optional().isInt({ min: 1, max: 100 })],
   async (req, res) => {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) return badRequest(res, errors.array());
-      const user = req.user;
-      if (user.role !== "admin") return forbidden(res, "Access denied");
       const limit = parseInt(req.query.limit) || 20;
-      const comments = await Comment.find({})
+      const comments = await Comment.find({ deletedAt: null })
         .sort({ createdAt: -1 })
         .limit(limit)
-        .select({ postId: 1, text: 1, createdAt: 1 })
+        .select({ postId: 1, parentId: 1, text: 1, status: 1, createdAt: 1 })
         .lean();
       ok(res, { comments });
     } catch (err) {
@@ -358,37 +577,340 @@ router.get(
   }
 );
 
-// Fetch single post by id
+/* ========================================================================== */
+/* 🛡️ COMMENT MODERATION — queue, approve, reject                             */
+/* ========================================================================== */
+// ?status=pending (default) | hidden | rejected | approved, or ?reported=true
+// for every comment with at least one visitor report
+router.get(
+  "/comments/moderation",
+  requireAuth,
+  requirePermission("comments:moderate"),
+  [
+    query("status").optional().isIn(COMMENT_STATUSES),
+    query("reported").optional().isBoolean(),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return badRequest(res, errors.array());
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const filter =
+        req.query.reported === "true"
+          ? { reportCount: { $gt: 0 }, deletedAt: null }
+          : { status: req.query.status || "pending", deletedAt: null };
+
+      const [total, comments, counts] = await Promise.all([
+        Comment.countDocuments(filter),
+        Comment.find(filter)
+          .sort({ createdAt: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate("postId", "title slug")
+          .lean(),
+        Comment.aggregate([
+          { $match: { status: { $in: ["pending", "hidden"] }, deletedAt: null } },
+          { $group: { _id: "$status", count: { $sum: 1 } } },
+        ]),
+      ]);
+
+      const reports = await CommentReport.find({ commentId: { $in: comments.map((c) => c._id) } })
+        .sort({ createdAt: -1 })
+        .select({ commentId: 1, reason: 1, createdAt: 1 })
+        .lean();
+      const items = comments.map((c) => ({
+        ...c,
+        post: c.postId ? { _id: c.postId._id, title: c.postId.title, slug: c.postId.slug } : null,
+        postId: c.postId?._id || null,
+        reports: reports.filter((r) => String(r.commentId) === String(c._id)),
+      }));
+
+      ok(res, {
+        comments: items,
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        queue: Object.fromEntries(counts.map((c) => [c._id, c.count])),
+      });
+    } catch (err) {
+      logger.error("Error fetching moderation queue", err);
+      serverError(res, "Failed to fetch moderation queue");
+    }
+  }
+);
+
+router.post(
+  "/comments/:commentId/:decision",
+  requireAuth,
+  requirePermission("comments:moderate"),
+  [
+    param("commentId").isMongoId(),
+    param("decision").isIn(["approve", "reject"]),
+    body("note").optional().isString().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return badRequest(res, errors.array());
+      const comment = await Comment.findById(req.params.commentId);
+      if (!comment || comment.deletedAt) return notFound(res, "Comment not found");
+
+      const before = { status: comment.status || "approved", reportCount: comment.reportCount };
+      const status = req.params.decision === "approve" ? "approved" : "rejected";
+      await setCommentStatus(comment, status, { reviewer: req.user, note: req.body.note });
+      await recordAudit(req, {
+        action: `comment.${req.params.decision}`,
+        targetModel: "Comment",
+        targetId: comment._id,
+        before,
+        after: { status, reportCount: comment.reportCount },
+        meta: { postId: String(comment.postId), note: req.body.note || "" },
+      });
+
+      ok(res, { message: `Comment ${status}`, comment });
+    } catch (err) {
+      logger.error("Error moderating comment", err);
+      serverError(res, "Failed to moderate comment");
+    }
+  }
+);
+
+/* ========================================================================== */
+/* 📡 FEEDS — RSS / Atom / JSON Feed of published posts                       */
+/* ========================================================================== */
+// /feed.rss, /feed.atom, /feed.json — narrowed with ?category= / ?tag=, or
+// per category at /category/:category/feed.<format>
+const FEED_CACHE_SECONDS = 15 * 60;
+
+function absoluteMediaUrl(src, baseUrl) {
+  const rel = extractLocalRelative(src);
+  if (rel) return `${baseUrl}/uploads/${rel}`;
+  return src.startsWith("/") ? `${baseUrl}${src}` : src;
+}
+
+async function sendFeed(req, res) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return badRequest(res, errors.array());
+    const format = req.params.format;
+    const limit = parseInt(req.query.limit) || 20;
+    const taxonomy = await taxonomyFilter({
+      category: req.params.category || req.query.category,
+      tag: req.query.tag,
+    });
+    if (!taxonomy.filter) return notFound(res, "Category not found");
+
+    const { posts } = await fetchFeedPage({ filter: taxonomy.filter, limit, latestComments: 0 });
+    const baseUrl = getPublicBase(req);
+    const entries = posts.map((p) => {
+      const media = (Array.isArray(p.imageUrls) ? p.imageUrls : [])
+        .map((m) => (typeof m === "string" ? { full: m } : m))
+        .map((m) => ({
+          ...m,
+          full: m?.full && absoluteMediaUrl(m.full, baseUrl),
+          thumb: m?.thumb && absoluteMediaUrl(m.thumb, baseUrl),
+        }));
+      return feedEntry(p, media);
+    });
+    const channel = feedChannel({
+      category: taxonomy.category,
+      tag: req.query.tag && normalizeTags([req.query.tag])[0],
+      homeUrl: getFrontendBase(),
+      feedUrl: `${baseUrl}${req.originalUrl}`,
+      entries,
+    });
+
+    // Express answers 304 itself when the ETag / Last-Modified still match
+    res.set({
+      "Content-Type": FEED_FORMATS[format],
+      "Cache-Control": `public, max-age=${FEED_CACHE_SECONDS}`,
+      "Last-Modified": channel.updated.toUTCString(),
+    });
+    res.send(FEED_RENDERERS[format](channel, entries));
+  } catch (err) {
+    logger.error("Error building feed", err);
+    serverError(res, "Failed to build feed");
+  }
+}
+
+const feedValidators = [
+  param("format").isIn(Object.keys(FEED_FORMATS)),
+  query("limit").optional().isInt({ min: 1, max: 50 }),
+  query("category").optional().isString(),
+  query("tag").optional().isString(),
+];
+router.get("/feed.:format", feedValidators, sendFeed);
+router.get("/category/:category/feed.:format", [param("category").isString(), ...feedValidators], sendFeed);
+
+/* ========================================================================== */
+/* 😊 REACTIONS — the set visitors can currently choose from                  */
+/* ========================================================================== */
+router.get("/reactions", async (_req, res) => {
+  try {
+    ok(res, { reactions: describeReactions(await getEnabledReactions()) });
+  } catch (err) {
+    logger.error("Error fetching reaction types", err);
+    serverError(res, "Failed to fetch reactions");
+  }
+});
+
+/* ========================================================================== */
+/* 🏷️ TAGS — usage counts across published posts                              */
+/* ========================================================================== */
+router.get(
+  "/tags",
+  [
+    query("category").optional().isString(),
+    query("limit").optional().isInt({ min: 1, max: 200 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return badRequest(res, errors.array());
+      const limit = parseInt(req.query.limit) || 50;
+      const taxonomy = await taxonomyFilter({ category: req.query.category });
+      if (!taxonomy.filter) return ok(res, { tags: [] });
+
+      const tags = await Post.aggregate([
+        { $match: Post.publicFilter(taxonomy.filter) },
+        { $unwind: "$tags" },
+        { $group: { _id: "$tags", count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: limit },
+        { $project: { _id: 0, tag: "$_id", count: 1 } },
+      ]);
+      ok(res, { tags });
+    } catch (err) {
+      logger.error("Error fetching tag counts", err);
+      serverError(res, "Failed to fetch tags");
+    }
+  }
+);
+
+/* ========================================================================== */
+/* 🗂️ MANAGE — drafts, scheduled and unpublished posts (content editors)      */
+/* ========================================================================== */
+router.get(
+  "/manage",
+  requireAuth,
+  requirePermission("posts:write"),
+  [
+    query("status").optional().isIn([...POST_STATUSES, "all"]),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+    query("category").optional().isString(),
+    query("tag").optional().isString(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return badRequest(res, errors.array());
+      const status = req.query.status || "all";
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const taxonomy = await taxonomyFilter(req.query);
+      if (!taxonomy.filter) return badRequest(res, `Unknown category: ${req.query.category}`);
+      const filter =
+        status === "all"
+          ? taxonomy.filter
+          : status === "published"
+          ? Post.publicFilter(taxonomy.filter)
+          : { ...taxonomy.filter, status };
+      // Scheduled posts read best soonest-first; everything else newest-first
+      const sort = status === "scheduled" ? { publishAt: 1 } : { updatedAt: -1 };
+
+      const [posts, total, counts] = await Promise.all([
+        Post.find(filter).populate("category", "name slug").sort(sort).skip((page - 1) * limit).limit(limit).lean(),
+        Post.countDocuments(filter),
+        Post.aggregate([{ $group: { _id: { $ifNull: ["$status", "published"] }, count: { $sum: 1 } } }]),
+      ]);
+
+      ok(res, {
+        posts: posts.map(withScheduleInfo),
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        counts: Object.fromEntries(POST_STATUSES.map((s) => [s, counts.find((c) => c._id === s)?.count || 0])),
+        timezone: FOUNDATION_TIMEZONE,
+      });
+    } catch (err) {
+      logger.error("Error fetching managed posts", err);
+      serverError(res, "Failed to fetch posts");
+    }
+  }
+);
+
+// Shared by the id and slug lookups below
+async function presentPost(req, post) {
+  const baseUrl = getPublicBase(req);
+  const media = Array.isArray(post.imageUrls) ? post.imageUrls : [];
+  const mappedMedia = await Promise.all(
+    media.map(async (m) => {
+      const src = typeof m === "string" ? m : m?.full || m?.thumb;
+      if (typeof src === "string" && src.includes("cloudinary")) {
+        try {
+          return await ensureLocalMedia(src, baseUrl);
+        } catch {
+          return typeof m === "string" ? { full: src, thumb: src } : m;
+        }
+      }
+      const rel = extractLocalRelative(src);
+      if (rel) {
+        const url = `${baseUrl}/uploads/${rel}`;
+        return { full: url, thumb: url };
+      }
+      return typeof m === "string" ? { full: src, thumb: src } : m;
+    })
+  );
+  const enabledReactions = await getEnabledReactions();
+  const reactions = await reactionSummary(post._id, visitorIds(req), enabledReactions);
+  const out = { ...post, imageUrls: mappedMedia, ...withLegacyLikes(reactions) };
+  return withScheduleInfo({ ...out, seoMeta: buildSeo(out), reactionTypes: describeReactions(enabledReactions) });
+}
+
+// Fetch single post by permalink; retired slugs redirect to the current one
+router.get(
+  "/slug/:slug",
+  optionalAuth,
+  [param("slug").isString().trim().isLength({ min: 1, max: 120 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return badRequest(res, errors.array());
+      const slug = req.params.slug.toLowerCase();
+      const scope = (extra) => (canManagePosts(req) ? extra : Post.publicFilter(extra));
+
+      const post = await Post.findOne(scope({ slug })).populate("category", "name slug").lean();
+      if (post) return ok(res, { post: await presentPost(req, post) });
+
+      const moved = await Post.findOne(scope({ previousSlugs: slug })).select("slug").lean();
+      if (moved?.slug) {
+        return res.redirect(301, `${req.baseUrl}/slug/${encodeURIComponent(moved.slug)}`);
+      }
+      notFound(res, "Post not found");
+    } catch (err) {
+      logger.error("Error fetching post by slug", err);
+      serverError(res, "Failed to fetch post");
+    }
+  }
+);
+
+// Fetch single post by id (unpublished posts only for content editors)
 router.get(
   "/:id",
+  optionalAuth,
   [param("id").isString()],
   async (req, res) => {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) return badRequest(res, errors.array());
-      const post = await Post.findById(req.params.id).lean();
+      const filter = canManagePosts(req) ? { _id: req.params.id } : Post.publicFilter({ _id: req.params.id });
+      const post = await Post.findOne(filter).populate("category", "name slug").lean();
       if (!post) return badRequest(res, "Post not found");
-      const baseUrl = getPublicBase(req);
-      const media = Array.isArray(post.imageUrls) ? post.imageUrls : [];
-      const mappedMedia = await Promise.all(
-        media.map(async (m) => {
-          const src = typeof m === "string" ? m : m?.full || m?.thumb;
-          if (typeof src === "string" && src.includes("cloudinary")) {
-            try {
-              return await ensureLocalMedia(src, baseUrl);
-            } catch {
-              return typeof m === "string" ? { full: src, thumb: src } : m;
-            }
-          }
-          const rel = extractLocalRelative(src);
-          if (rel) {
-            const url = `${baseUrl}/uploads/${rel}`;
-            return { full: url, thumb: url };
-          }
-          return typeof m === "string" ? { full: src, thumb: src } : m;
-        })
-      );
-      ok(res, { post: { ...post, imageUrls: mappedMedia } });
+      ok(res, { post: await presentPost(req, post) });
     } catch (err) {
       logger.error("Error fetching post", err);
       serverError(res, "Failed to fetch post");
@@ -399,20 +921,33 @@ router.get(
 router.put(
   "/:id",
   requireAuth,
+  requirePermission("posts:write"),
   upload.fields([
     { name: "images", maxCount: 10 },
     { name: "media", maxCount: 10 },
   ]),
-  [param("id").isString(), body("content").optional().isString()],
+  [
+    param("id").isString(),
+    body("content").optional().isString(),
+    body("category").optional({ nullable: true }).isString(),
+    body("title").optional().isString().trim().isLength({ max: 200 }),
+    body("slug").optional({ checkFalsy: true }).isString(),
+  ],
   async (req, res) => {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) return badRequest(res, errors.array());
-      const user = req.user;
-      if (user.role !== "admin") return forbidden(res, "Access denied — only admins can update posts");
       const postId = req.params.id;
       const post = await Post.findById(postId);
       if (!post) return badRequest(res, "Post not found");
+      const before = post.toObject();
+      await ensureBaseRevision(post);
+      const category = await resolveCategory(req.body.category);
+      if (category.error) return badRequest(res, category.error);
+      const seo = parseSeoInput(req.body.seo);
+      if (seo.error) return badRequest(res, seo.error);
+      const customSlug = req.body.slug ? await claimSlug(req.body.slug, post._id) : {};
+      if (customSlug.error) return badRequest(res, customSlug.error);
 
       const removeMedia = Array.isArray(req.body.removeMedia)
         ? req.body.removeMedia
@@ -473,9 +1008,30 @@ router.put(
       if (typeof req.body.content === "string") {
         post.content = req.body.content;
       }
+      if (typeof req.body.title === "string") post.title = req.body.title;
+
+      // 🔗 Never-published posts follow their title; live ones keep their link
+      //    unless an editor picks a new slug (the old one then redirects)
+      if (customSlug.slug) {
+        post.changeSlug(customSlug.slug);
+      } else if (!post.publishedAt && (post.isModified("title") || post.isModified("content"))) {
+        post.slug = await Post.uniqueSlug(post.title || post.content, post._id);
+      }
+      post.set(seo.fields);
       post.imageUrls = media;
+      if (category.id !== undefined) post.category = category.id;
+      if (req.body.tags !== undefined) post.tags = normalizeTags(req.body.tags);
       await post.save();
-      ok(res, { message: "Post updated", post });
+      const revision = await recordRevision(post, req.user, "update");
+      await recordAudit(req, {
+        action: "post.update",
+        targetModel: "Post",
+        targetId: post._id,
+        before,
+        after: post,
+        meta: { revision: revision.version },
+      });
+      ok(res, { message: "Post updated", post, revision: revision.version });
     } catch (err) {
       logger.error("Error updating post", err);
       serverError(res, "Failed to update post");
@@ -486,14 +1042,12 @@ router.put(
 router.delete(
   "/:id",
   requireAuth,
+  requirePermission("posts:write"),
   [param("id").isString()],
   async (req, res) => {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) return badRequest(res, errors.array());
-      const user = req.user;
-      if (user.role !== "admin") return forbidden(res, "Access denied — only admins can delete posts");
-
       const post = await Post.findById(req.params.id);
       if (!post) return badRequest(res, "Post not found");
 
@@ -516,8 +1070,11 @@ router.delete(
       }
 
       await Comment.deleteMany({ postId: post._id });
-      await Like.deleteMany({ postId: post._id });
+      await CommentReport.deleteMany({ postId: post._id });
+      await Reaction.deleteMany({ postId: post._id });
+      await PostRevision.deleteMany({ postId: post._id });
       await post.deleteOne();
+      await recordAudit(req, { action: "post.delete", targetModel: "Post", targetId: post._id, before: post });
 
       ok(res, { message: "Post deleted" });
     } catch (err) {
@@ -528,28 +1085,266 @@ router.delete(
 );
 
 /* ========================================================================== */
-/* ❤️ LIKE / UNLIKE POST                                                     */
+/* 🕘 REVISIONS — history, diff and restore (content editors)                 */
+/* ========================================================================== */
+router.get(
+  "/:id/revisions",
+  requireAuth,
+  requirePermission("posts:write"),
+  [param("id").isMongoId()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return badRequest(res, errors.array());
+      if (!(await Post.exists({ _id: req.params.id }))) return notFound(res, "Post not found");
+
+      const revisions = await PostRevision.find({ postId: req.params.id })
+        .sort({ version: -1 })
+        .select("version editor reason restoredFrom createdAt snapshot.title snapshot.content")
+        .lean();
+      ok(res, {
+        revisions: revisions.map(({ snapshot, ...r }) => ({
+          ...r,
+          title: snapshot?.title || "",
+          preview: String(snapshot?.content || "").slice(0, 140),
+        })),
+      });
+    } catch (err) {
+      logger.error("Error fetching post revisions", err);
+      serverError(res, "Failed to fetch revisions");
+    }
+  }
+);
+
+// ?from=<version>&to=<version|"current">; defaults compare the previous
+// revision with the latest one
+router.get(
+  "/:id/revisions/diff",
+  requireAuth,
+  requirePermission("posts:write"),
+  [
+    param("id").isMongoId(),
+    query("from").optional().isInt({ min: 1 }),
+    query("to").optional().custom((v) => v === "current" || /^[1-9]\d*$/.test(v)),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return badRequest(res, errors.array());
+      const post = await Post.findById(req.params.id);
+      if (!post) return notFound(res, "Post not found");
+
+      const latest = await PostRevision.findOne({ postId: post._id }).sort({ version: -1 }).lean();
+      if (!latest) return badRequest(res, "This post has no revisions yet");
+
+      const toVersion = req.query.to === "current" ? "current" : parseInt(req.query.to) || latest.version;
+      const fromVersion = parseInt(req.query.from) || Math.max(1, (toVersion === "current" ? latest.version : toVersion) - 1);
+
+      const [from, to] = await Promise.all([
+        PostRevision.findOne({ postId: post._id, version: fromVersion }).lean(),
+        toVersion === "current" ? null : PostRevision.findOne({ postId: post._id, version: toVersion }).lean(),
+      ]);
+      if (!from || (toVersion !== "current" && !to)) return notFound(res, "Revision not found");
+
+      ok(res, {
+        from: { version: from.version, editor: from.editor, createdAt: from.createdAt },
+        to: to
+          ? { version: to.version, editor: to.editor, createdAt: to.createdAt }
+          : { version: "current", createdAt: post.updatedAt },
+        diff: diffSnapshots(from.snapshot, to ? to.snapshot : snapshotOf(post)),
+      });
+    } catch (err) {
+      logger.error("Error diffing post revisions", err);
+      serverError(res, "Failed to compare revisions");
+    }
+  }
+);
+
+router.get(
+  "/:id/revisions/:version",
+  requireAuth,
+  requirePermission("posts:write"),
+  [param("id").isMongoId(), param("version").isInt({ min: 1 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return badRequest(res, errors.array());
+      const revision = await PostRevision.findOne({
+        postId: req.params.id,
+        version: parseInt(req.params.version),
+      }).lean();
+      if (!revision) return notFound(res, "Revision not found");
+      ok(res, { revision });
+    } catch (err) {
+      logger.error("Error fetching post revision", err);
+      serverError(res, "Failed to fetch revision");
+    }
+  }
+);
+
+// Brings back the revision's content, media references, tags, category and
+// SEO fields. The slug and publishing status are left alone.
+router.post(
+  "/:id/revisions/:version/restore",
+  requireAuth,
+  requirePermission("posts:write"),
+  [param("id").isMongoId(), param("version").isInt({ min: 1 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return badRequest(res, errors.array());
+      const post = await Post.findById(req.params.id);
+      if (!post) return notFound(res, "Post not found");
+      const version = parseInt(req.params.version);
+      const revision = await PostRevision.findOne({ postId: post._id, version }).lean();
+      if (!revision) return notFound(res, "Revision not found");
+
+      await ensureBaseRevision(post);
+      const before = post.toObject();
+      const { snapshot } = revision;
+      const categoryExists = snapshot.category && (await Category.exists({ _id: snapshot.category }));
+
+      post.title = snapshot.title;
+      post.content = snapshot.content;
+      post.imageUrls = snapshot.imageUrls;
+      post.tags = snapshot.tags;
+      post.category = categoryExists ? snapshot.category : null;
+      post.set({
+        "seo.metaDescription": snapshot.seo?.metaDescription || "",
+        "seo.canonicalUrl": snapshot.seo?.canonicalUrl || "",
+        "seo.socialImage": snapshot.seo?.socialImage || "",
+      });
+      await post.save();
+
+      const restored = await recordRevision(post, req.user, "restore", { restoredFrom: version });
+      await recordAudit(req, {
+        action: "post.restore",
+        targetModel: "Post",
+        targetId: post._id,
+        before,
+        after: post,
+        meta: { restoredFrom: version, revision: restored.version },
+      });
+
+      ok(res, {
+        message: `Restored revision ${version}`,
+        post,
+        revision: restored.version,
+        ...(snapshot.category && !categoryExists && { warning: "The original category no longer exists" }),
+      });
+    } catch (err) {
+      logger.error("Error restoring post revision", err);
+      serverError(res, "Failed to restore revision");
+    }
+  }
+);
+
+/* ========================================================================== */
+/* 🗓️ STATUS — draft / schedule / publish / unpublish                         */
+/* ========================================================================== */
+router.patch(
+  "/:id/status",
+  requireAuth,
+  requirePermission("posts:write"),
+  [
+    param("id").isMongoId(),
+    body("status").isIn(POST_STATUSES),
+    body("publishAt").optional().isString(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return badRequest(res, errors.array());
+      const post = await Post.findById(req.params.id);
+      if (!post) return badRequest(res, "Post not found");
+
+      const publishing = resolvePublishing(req.body, POST_STATUSES);
+      if (publishing.error) return badRequest(res, publishing.error);
+
+      const before = { status: post.status, publishAt: post.publishAt };
+      post.set(publishing.fields);
+      await post.save();
+      await recordAudit(req, {
+        action: STATUS_AUDIT_ACTIONS[post.status],
+        targetModel: "Post",
+        targetId: post._id,
+        before,
+        after: { status: post.status, publishAt: post.publishAt },
+      });
+
+      ok(res, { message: `Post is now ${post.status}`, post: withScheduleInfo(post.toObject()) });
+    } catch (err) {
+      logger.error("Error changing post status", err);
+      serverError(res, "Failed to change post status");
+    }
+  }
+);
+
+/* ========================================================================== */
+/* 😊 REACT TO POST — one reaction per visitor                               */
 /* ========================================================================== */
+// Sending the visitor's current reaction again removes it; a different one
+// replaces it.
+router.post(
+  "/:id/reactions",
+  optionalAuth,
+  likeLimiter,
+  [param("id").isString(), body("type").isIn(REACTION_TYPES)],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return badRequest(res, errors.array());
+      const ids = visitorIds(req);
+      const postId = req.params.id;
+      if (!(await findPublicPost(postId))) return badRequest(res, "Post not found");
+      const enabled = await getEnabledReactions();
+      if (!enabled.includes(req.body.type)) return badRequest(res, "This reaction is not available");
+
+      await toggleReaction(postId, ids, req.body.type);
+      ok(res, await reactionSummary(postId, ids, enabled));
+    } catch (err) {
+      logger.error("Error toggling reaction", err?.message || err);
+      serverError(res, "Failed to update reaction");
+    }
+  }
+);
+
+router.delete(
+  "/:id/reactions",
+  optionalAuth,
+  likeLimiter,
+  [param("id").isString()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return badRequest(res, errors.array());
+      const ids = visitorIds(req);
+      const postId = req.params.id;
+      await removeReaction(postId, ids);
+      ok(res, await reactionSummary(postId, ids, await getEnabledReactions()));
+    } catch (err) {
+      logger.error("Error removing reaction", err?.message || err);
+      serverError(res, "Failed to remove reaction");
+    }
+  }
+);
+
+// ❤️ Older clients: toggles the "like" reaction and answers in the old shape
 router.post(
   "/:id/like",
+  optionalAuth,
   likeLimiter,
   [param("id").isString()],
   async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return badRequest(res, errors.array());
-    const userId = req.user?.id || getVisitorId(req);
     const postId = req.params.id;
+    if (!(await findPublicPost(postId))) return badRequest(res, "Post not found");
 
-    const existingLike = await Like.findOne({ postId, userId });
-    if (existingLike) {
-      await Like.deleteOne({ _id: existingLike._id });
-    } else {
-      await Like.create({ postId, userId });
-    }
-
-    const likesCount = await Like.countDocuments({ postId });
-    ok(res, { liked: !existingLike, likesCount });
+    const reaction = await toggleReaction(postId, visitorIds(req), "like");
+    const post = await Post.findById(postId).select("reactionCounts").lean();
+    ok(res, { liked: reaction === "like", likesCount: post?.reactionCounts?.like || 0 });
   } catch (err) {
     logger.error("Error toggling like", err?.message || err);
     serverError(res, "Failed to like/unlike");
@@ -564,14 +1359,22 @@ router.post(
 // ➕ Create a new comment
 router.post(
   "/:id/comments",
+  optionalAuth,
   commentLimiter,
-  [param("id").isString(), body("text").isString().trim().isLength({ min: 1 })],
+  [
+    param("id").isString(),
+    body("text").isString().trim().isLength({ min: 1 }),
+    body("parentId").optional({ nullable: true }).isMongoId(),
+  ],
   async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return badRequest(res, errors.array());
     const postId = req.params.id;
     const { text } = req.body;
+    if (!(await findPublicPost(postId))) return badRequest(res, "Post not found");
+    const { parent, depth, error } = await resolveReplyParent(postId, req.body.parentId);
+    if (error) return badRequest(res, error);
     const ownerId = req.user?.id || getVisitorId(req);
     const user = req.user || {
       id: ownerId,
@@ -579,15 +1382,37 @@ router.post(
       avatar: "/default-avatar.png",
     };
 
+    const moderator = canModerateComments(req);
+    const settings = await getCommentSettings();
+    const flags = moderator ? [] : screenComment(text, settings);
+    const status = initialCommentStatus({ moderator, settings, flags });
+
     const newComment = await Comment.create({
       postId,
       text,
       author: { fullname: user.fullname, avatar: user.avatar },
       ownerId: ownerId,
+      parentId: parent?._id || null,
+      depth,
+      isOfficial: moderator,
+      status,
+      moderation: { flags },
     });
+    if (status === "approved") {
+      await bumpCommentCount(postId, 1);
+      if (parent) await Comment.updateOne({ _id: parent._id }, { $inc: { replyCount: 1 } });
+    }
 
-    logger.info("New comment added", { by: user.fullname, postId });
-    created(res, { message: "Comment added", comment: newComment });
+    logger.info(parent ? "New reply added" : "New comment added", { by: user.fullname, postId, status });
+    created(res, {
+      message:
+        status === "pending"
+          ? "Comment submitted — it will appear once a moderator approves it"
+          : parent
+            ? "Reply added"
+            : "Comment added",
+      comment: presentComment(newComment.toObject(), visitorIds(req)),
+    });
   } catch (err) {
     logger.error("Error creating comment", err);
     serverError(res, "Failed to add comment");
@@ -595,24 +1420,43 @@ router.post(
 }
 );
 
-// 📖 Get all comments for a post
+// 📖 Get comments for a post — newest threads first, replies nested oldest
+//    first up to ?depth levels with ?replyLimit replies per comment
 router.get(
   "/:id/comments",
-  [param("id").isString()],
+  optionalAuth,
+  [
+    param("id").isString(),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 50 }),
+    query("depth").optional().isInt({ min: 0, max: MAX_COMMENT_DEPTH }),
+    query("replyLimit").optional().isInt({ min: 1, max: 20 }),
+  ],
   async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return badRequest(res, errors.array());
     const postId = req.params.id;
-    const visitorId = req.user?.id || getVisitorId(req);
-    const comments = await Comment.find({ postId })
-      .sort({ createdAt: -1 })
-      .lean();
-    const withFlags = comments.map((c) => ({
-      ...c,
-      canEdit: c.ownerId && c.ownerId === visitorId,
-    }));
-    ok(res, { comments: withFlags });
+    if (!(await findPublicPost(postId))) return notFound(res, "Post not found");
+    const ids = visitorIds(req);
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const depth = req.query.depth !== undefined ? parseInt(req.query.depth) : 2;
+    const replyLimit = parseInt(req.query.replyLimit) || 3;
+
+    const filter = Comment.visibleFilter({ postId, parentId: null });
+    const [total, topLevel] = await Promise.all([
+      Comment.countDocuments(filter),
+      Comment.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+    ]);
+    const comments = topLevel.map((c) => presentComment(c, ids));
+    await attachReplies(comments, { depth, replyLimit, visitorIds: ids });
+
+    ok(res, { comments, total, page, pages: Math.ceil(total / limit) });
   } catch (err) {
     logger.error("Error fetching comments", err);
     serverError(res, "Failed to fetch comments");
@@ -620,8 +1464,53 @@ router.get(
 }
 );
 
+// 🧵 Page through the direct replies of one comment (for "show more replies")
+router.get(
+  "/:id/comments/:commentId/replies",
+  optionalAuth,
+  [
+    param("id").isString(),
+    param("commentId").isMongoId(),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 50 }),
+    query("depth").optional().isInt({ min: 0, max: MAX_COMMENT_DEPTH }),
+    query("replyLimit").optional().isInt({ min: 1, max: 20 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return badRequest(res, errors.array());
+      const { id: postId, commentId } = req.params;
+      if (!(await findPublicPost(postId))) return notFound(res, "Post not found");
+      const ids = visitorIds(req);
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const depth = req.query.depth !== undefined ? parseInt(req.query.depth) : 1;
+      const replyLimit = parseInt(req.query.replyLimit) || 3;
+
+      const parent = await Comment.findOne(Comment.visibleFilter({ _id: commentId, postId })).lean();
+      if (!parent) return notFound(res, "Comment not found");
+
+      const replies = await Comment.find(Comment.visibleFilter({ parentId: parent._id }))
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean();
+      const presented = replies.map((c) => presentComment(c, ids));
+      await attachReplies(presented, { depth, replyLimit, visitorIds: ids });
+
+      const total = parent.replyCount || 0;
+      ok(res, { replies: presented, total, page, pages: Math.ceil(total / limit) });
+    } catch (err) {
+      logger.error("Error fetching comment replies", err);
+      serverError(res, "Failed to fetch replies");
+    }
+  }
+);
+
 router.put(
   "/:id/comments/:commentId",
+  optionalAuth,
   commentLimiter,
   [param("id").isString(), param("commentId").isString(), body("text").isString().trim().isLength({ min: 1 })],
   async (req, res) => {
@@ -630,13 +1519,27 @@ router.put(
       if (!errors.isEmpty()) return badRequest(res, errors.array());
       const postId = req.params.id;
       const commentId = req.params.commentId;
-      const visitorId = req.user?.id || getVisitorId(req);
+      const ids = visitorIds(req);
       const comment = await Comment.findOne({ _id: commentId, postId });
       if (!comment) return badRequest(res, "Comment not found");
-      if (comment.ownerId !== visitorId) return forbidden(res, "Not allowed");
+      if (comment.deletedAt) return badRequest(res, "Comment was deleted");
+      if (!ids.includes(comment.ownerId)) return forbidden(res, "Not allowed");
+      if (comment.status === "rejected") return forbidden(res, "This comment was removed by a moderator");
       comment.text = req.body.text;
-      await comment.save();
-      ok(res, { message: "Comment updated", comment });
+
+      // ✏️ Edits are screened again; a published comment can fall back to the queue
+      const moderator = canModerateComments(req);
+      const settings = await getCommentSettings();
+      const flags = moderator ? [] : screenComment(comment.text, settings);
+      if (isVisibleComment(comment) && initialCommentStatus({ moderator, settings, flags }) === "pending") {
+        await setCommentStatus(comment, "pending", { flags });
+      } else {
+        await comment.save();
+      }
+      ok(res, {
+        message: comment.status === "pending" ? "Comment updated and sent for review" : "Comment updated",
+        comment: presentComment(comment.toObject(), ids),
+      });
     } catch (err) {
       logger.error("Error updating comment", err);
       serverError(res, "Failed to update comment");
@@ -646,6 +1549,7 @@ router.put(
 
 router.delete(
   "/:id/comments/:commentId",
+  optionalAuth,
   commentLimiter,
   [param("id").isString(), param("commentId").isString()],
   async (req, res) => {
@@ -654,17 +1558,70 @@ router.delete(
       if (!errors.isEmpty()) return badRequest(res, errors.array());
       const postId = req.params.id;
       const commentId = req.params.commentId;
-      const visitorId = req.user?.id || getVisitorId(req);
+      const ids = visitorIds(req);
       const comment = await Comment.findOne({ _id: commentId, postId });
       if (!comment) return badRequest(res, "Comment not found");
-      if (comment.ownerId !== visitorId) return forbidden(res, "Not allowed");
-      await Comment.deleteOne({ _id: commentId });
-      ok(res, { message: "Comment deleted" });
+      if (comment.deletedAt) return badRequest(res, "Comment was already deleted");
+      const ownComment = ids.includes(comment.ownerId);
+      if (!ownComment && !canModerateComments(req)) return forbidden(res, "Not allowed");
+      const before = { text: comment.text, author: comment.author, status: comment.status };
+      const { placeholder } = await deleteComment(comment);
+      if (!ownComment) {
+        await recordAudit(req, {
+          action: "comment.delete",
+          targetModel: "Comment",
+          targetId: commentId,
+          before,
+          meta: { postId: String(postId), placeholder },
+        });
+      }
+      ok(res, { message: "Comment deleted", placeholder });
     } catch (err) {
       logger.error("Error deleting comment", err);
       serverError(res, "Failed to delete comment");
     }
   }
-)
+);
+
+// 🚩 Report a comment — one report per account or IP address; enough reports
+//    hide it until a moderator reviews it
+router.post(
+  "/:id/comments/:commentId/report",
+  optionalAuth,
+  reportLimiter,
+  [
+    param("id").isString(),
+    param("commentId").isMongoId(),
+    body("reason").optional().isString().trim().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return badRequest(res, errors.array());
+      const { id: postId, commentId } = req.params;
+      const reporterId = reporterKey(req);
+      const comment = await Comment.findOne(Comment.visibleFilter({ _id: commentId, postId, deletedAt: null }));
+      if (!comment) return notFound(res, "Comment not found");
+      if (visitorIds(req).includes(comment.ownerId)) {
+        return badRequest(res, "You can't report your own comment");
+      }
+
+      try {
+        await CommentReport.create({ commentId, postId: comment.postId, reporterId, reason: req.body.reason || "" });
+      } catch (err) {
+        if (err?.code === 11000) return badRequest(res, "You have already reported this comment");
+        throw err;
+      }
+      await Comment.updateOne({ _id: commentId }, { $inc: { reportCount: 1 } });
+      const hidden = await applyReport(commentId, await getCommentSettings());
+
+      if (hidden) logger.info("Comment hidden after reports", { commentId, postId });
+      ok(res, { message: "Thanks — a moderator will review this comment", hidden });
+    } catch (err) {
+      logger.error("Error reporting comment", err);
+      serverError(res, "Failed to report comment");
+    }
+  }
+);
 
 export default router;
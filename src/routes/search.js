@@ -1,11 +1,16 @@
 import { Router } from "express";
 import Post from "../models/Post.js";
+import Category from "../models/Category.js";
 import User from "../models/User.js"; // ✅ Ensure this model exists and matches your users collection
 
 const router = Router();
 
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
 /* ========================================================================== */
-/* 🔍 GLOBAL SEARCH: Posts + Members                                          */
+/* 🔍 GLOBAL SEARCH: Posts + Members + Categories + Tags                      */
 /* ========================================================================== */
 /*
 Example:
@@ -14,7 +19,9 @@ Returns {
   success: true,
   query: "foundation",
   members: [...],
-  posts: [...]
+  posts: [...],
+  categories: [...],
+  tags: [{ tag, count }]
 }
 */
 router.get("/", async (req, res) => {
@@ -25,17 +32,29 @@ router.get("/", async (req, res) => {
       return res.status(400).json({ error: "Missing search query." });
     }
 
-    const regex = new RegExp(q, "i");
+    // Literal match — a raw pattern could be invalid or catastrophically slow
+    const regex = new RegExp(escapeRegex(q), "i");
 
-    // Run both searches concurrently for performance
-    const [posts, members] = await Promise.all([
-      Post.find({
-        $or: [
-          { content: regex },
-          { "member.fullname": regex },
-        ],
-      })
-        .sort({ createdAt: -1 })
+    // Categories first, so posts filed under a matching category are found too
+    const categories = await Category.find({ $or: [{ name: regex }, { slug: regex }] })
+      .select("_id name slug description")
+      .limit(10)
+      .lean();
+
+    // Run the remaining searches concurrently for performance
+    const [posts, members, tags] = await Promise.all([
+      Post.find(
+        Post.publicFilter({
+          $or: [
+            { content: regex },
+            { "member.fullname": regex },
+            { tags: regex },
+            { category: { $in: categories.map((c) => c._id) } },
+          ],
+        })
+      )
+        .populate("category", "name slug")
+        .sort({ publishedAt: -1, createdAt: -1 })
         .limit(10)
         .lean(),
 
@@ -49,6 +68,16 @@ router.get("/", async (req, res) => {
         .select("_id fullname avatar email username")
         .limit(10)
         .lean(),
+
+      Post.aggregate([
+        { $match: Post.publicFilter({ tags: regex }) },
+        { $unwind: "$tags" },
+        { $match: { tags: regex } },
+        { $group: { _id: "$tags", count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: 10 },
+        { $project: { _id: 0, tag: "$_id", count: 1 } },
+      ]),
     ]);
 
     // Normalize post results (ensure consistent media structure)
@@ -80,6 +109,8 @@ router.get("/", async (req, res) => {
       query: q,
       members,
       posts: normalizedPosts,
+      categories,
+      tags,
     });
   } catch (err) {
     console.error("❌ Error performing search:", err);
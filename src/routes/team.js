@@ -1,9 +1,10 @@
 import express from "express";
 import Team from "../models/Team.js";
-import { requireAuth } from "../middleware/auth.js";
+import { requireAuth, requirePermission } from "../middleware/auth.js";
 import { body, validationResult } from "express-validator";
-import { ok, badRequest, forbidden, notFound, serverError } from "../utils/respond.js";
+import { ok, badRequest, notFound, serverError } from "../utils/respond.js";
 import logger from "../utils/logger.js";
+import { recordAudit } from "../utils/audit.js";
 import path from "path";
 import { fileURLToPath } from "url";
 import fs from "fs/promises";
@@ -100,11 +101,12 @@ router.get("/", async (req, res) => {
 });
 
 /* -------------------------------------------------------------------------- */
-/* 🔸 POST — Admin Only (Add new team member)                                 */
+/* 🔸 POST — Content editors (Add new team member)                            */
 /* -------------------------------------------------------------------------- */
 router.post(
   "/",
   requireAuth,
+  requirePermission("team:write"),
   [
     body("name")
       .isString().withMessage("Name must be text")
@@ -149,10 +151,6 @@ router.post(
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return badRequest(res, errors.array());
-    const userRole = req.user?.role;
-    if (userRole !== "admin") {
-      return forbidden(res, "Access denied — Admins only");
-    }
 
     const {
       name,
@@ -183,6 +181,7 @@ router.post(
       linkedin,
       twitter,
     });
+    await recordAudit(req, { action: "team.create", targetModel: "Team", targetId: newMember._id, after: newMember });
 
     ok(res, { member: newMember });
   } catch (err) {
@@ -193,19 +192,18 @@ router.post(
 );
 
 /* -------------------------------------------------------------------------- */
-/* ✏️ PUT — Admin Only (Update team member)                                  */
+/* ✏️ PUT — Content editors (Update team member)                             */
 /* -------------------------------------------------------------------------- */
-router.put("/:id", requireAuth, async (req, res) => {
+router.put("/:id", requireAuth, requirePermission("team:write"), async (req, res) => {
   try {
-    const userRole = req.user?.role;
-    if (userRole !== "admin") {
-      return forbidden(res, "Access denied — Admins only");
-    }
+    const before = await Team.findById(req.params.id).lean();
+    if (!before) return notFound(res, "Member not found");
 
     const updated = await Team.findByIdAndUpdate(req.params.id, req.body, {
       new: true,
     });
     if (!updated) return notFound(res, "Member not found");
+    await recordAudit(req, { action: "team.update", targetModel: "Team", targetId: updated._id, before, after: updated });
 
     ok(res, { member: updated });
   } catch (err) {
@@ -215,19 +213,15 @@ router.put("/:id", requireAuth, async (req, res) => {
 });
 
 /* -------------------------------------------------------------------------- */
-/* 🗑️ DELETE — Admin Only (Remove team member)                               */
+/* 🗑️ DELETE — Content editors (Remove team member)                          */
 /* -------------------------------------------------------------------------- */
-router.delete("/:id", requireAuth, async (req, res) => {
+router.delete("/:id", requireAuth, requirePermission("team:write"), async (req, res) => {
   try {
-    const userRole = req.user?.role;
-    if (userRole !== "admin") {
-      return forbidden(res, "Access denied — Admins only");
-    }
-
     const member = await Team.findByIdAndDelete(req.params.id);
     if (!member) {
       return notFound(res, "Member not found");
     }
+    await recordAudit(req, { action: "team.delete", targetModel: "Team", targetId: member._id, before: member });
 
     ok(res, { message: "Team member deleted successfully" });
   } catch (err) {
@@ -5,7 +5,7 @@ import { fileURLToPath } from "url";
 import fs from "fs/promises";
 import { UPLOADS_ROOT, getPublicBase, generateFilename } from "../utils/media.js";
 import { uploadFileToFirebase } from "../utils/firebase.js";
-import { requireAuth } from "../middleware/auth.js";
+import { requireAuth, requirePermission } from "../middleware/auth.js";
 import { ok, badRequest, serverError } from "../utils/respond.js";
 import logger from "../utils/logger.js";
 
@@ -29,7 +29,7 @@ const upload = multer({ storage, limits: { fileSize: 20 * 1024 * 1024 } });
 /* -------------------------------------------------------------------------- */
 /* 📤 POST /api/upload/team — Upload Team Photos                              */
 /* -------------------------------------------------------------------------- */
-router.post("/team", requireAuth, upload.single("image"), async (req, res) => {
+router.post("/team", requireAuth, requirePermission("team:write"), upload.single("image"), async (req, res) => {
   try {
     if (!req.file || !req.file.path) {
       return badRequest(res, "No image uploaded");
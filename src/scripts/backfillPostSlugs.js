@@ -0,0 +1,30 @@
+import "dotenv/config";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import Post from "../models/Post.js";
+
+/*
+Usage: npm run migrate:post-slugs
+
+Gives every post created before permalinks existed a unique slug. Safe to run
+more than once — posts that already have a slug are skipped.
+*/
+async function run() {
+  await connectDB();
+  const cursor = Post.find({ $or: [{ slug: { $exists: false } }, { slug: null }, { slug: "" }] }).cursor();
+  let count = 0;
+  for await (const post of cursor) {
+    post.slug = await Post.uniqueSlug(post.title || post.content, post._id);
+    await post.save({ validateModifiedOnly: true });
+    count += 1;
+    console.log(`🔗 ${post._id} → ${post.slug}`);
+  }
+  console.log(`✅ Assigned slugs to ${count} post(s)`);
+}
+
+run()
+  .catch((err) => {
+    console.error("❌ Slug backfill failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,81 @@
+import "dotenv/config";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import User from "../models/User.js";
+import { revokeAllSessions } from "../utils/session.js";
+
+/*
+Usage (from the server shell):
+  npm run admin -- create --email admin@example.com --name "Jane Doe" [--password secret]
+  npm run admin -- reset  --email admin@example.com [--password secret]
+
+When --password is omitted a random one is generated and printed once.
+"reset" also reactivates the account and logs it out everywhere.
+*/
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const opts = {};
+  for (let i = 0; i < rest.length; i++) {
+    const key = rest[i];
+    if (!key.startsWith("--")) continue;
+    opts[key.slice(2)] = rest[i + 1];
+    i++;
+  }
+  return { command, opts };
+}
+
+function usage(message) {
+  if (message) console.error(`❌ ${message}`);
+  console.error("Usage: npm run admin -- <create|reset> --email <email> [--name <name>] [--password <password>]");
+  process.exit(1);
+}
+
+async function run() {
+  const { command, opts } = parseArgs(process.argv.slice(2));
+  if (!["create", "reset"].includes(command)) usage("Unknown command");
+  if (!opts.email) usage("--email is required");
+  if (opts.password && opts.password.length < 8) usage("--password must be at least 8 characters");
+
+  const email = opts.email.toLowerCase().trim();
+  const password = opts.password || crypto.randomBytes(12).toString("base64url");
+
+  await connectDB();
+
+  let user = await User.findOne({ email });
+  if (command === "create") {
+    if (user) usage(`A user with email ${email} already exists — use "reset" instead`);
+    user = await User.create({
+      fullname: opts.name || "Foundation Admin",
+      email,
+      passwordHash: password, // 🔒 auto-hashed via model pre-save hook
+      role: "admin",
+    });
+  } else {
+    if (!user) usage(`No user found with email ${email}`);
+    if (opts.name) user.fullname = opts.name;
+    user.role = "admin";
+    user.isActive = true;
+    user.passwordHash = password;
+    await user.save();
+    await revokeAllSessions(user._id, "admin-reset");
+  }
+
+  console.log(
+    JSON.stringify({
+      action: command,
+      id: String(user._id),
+      email: user.email,
+      role: user.role,
+      ...(opts.password ? {} : { generatedPassword: password }),
+    })
+  );
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+run().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,49 @@
+import "dotenv/config";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import Like from "../models/Like.js";
+import Reaction from "../models/Reaction.js";
+import { recountPostCounters } from "../utils/postCounters.js";
+
+/*
+Usage: npm run migrate:reactions [-- --purge]
+
+Copies every Like into the Reaction collection as a "like" reaction. Visitors
+who have already picked a reaction on that post keep it. Safe to run more than
+once. Pass --purge to delete the old Like documents once they're copied.
+Likes keep their original userId (often a visitor hash); the posts routes
+still recognise those as belonging to a signed-in user on the same browser.
+*/
+const purge = process.argv.includes("--purge");
+
+async function run() {
+  await connectDB();
+  const cursor = Like.find().lean().cursor();
+  let migrated = 0;
+  let skipped = 0;
+  for await (const like of cursor) {
+    const result = await Reaction.updateOne(
+      { postId: like.postId, userId: like.userId },
+      { $setOnInsert: { type: "like", createdAt: like.createdAt, updatedAt: like.updatedAt } },
+      { upsert: true, timestamps: false }
+    );
+    if (result.upsertedCount) migrated += 1;
+    else skipped += 1;
+  }
+  console.log(`✅ Migrated ${migrated} like(s); ${skipped} already had a reaction`);
+
+  const posts = await recountPostCounters();
+  console.log(`🔢 Refreshed comment/reaction counters on ${posts} post(s)`);
+
+  if (purge) {
+    const { deletedCount } = await Like.deleteMany({});
+    console.log(`🧹 Removed ${deletedCount} old like document(s)`);
+  }
+}
+
+run()
+  .catch((err) => {
+    console.error("❌ Reaction migration failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,24 @@
+import "dotenv/config";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import { recountPostCounters } from "../utils/postCounters.js";
+
+/*
+Usage: npm run migrate:post-counters
+
+Rebuilds Post.commentsCount and Post.reactionCounts from the Comment and
+Reaction collections. Run once after deploying the counters, and any time the
+numbers look off. Safe to run more than once.
+*/
+async function run() {
+  await connectDB();
+  const posts = await recountPostCounters();
+  console.log(`✅ Recounted comments and reactions on ${posts} post(s)`);
+}
+
+run()
+  .catch((err) => {
+    console.error("❌ Counter rebuild failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
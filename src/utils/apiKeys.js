@@ -0,0 +1,44 @@
+import crypto from "crypto";
+import rateLimit from "express-rate-limit";
+import ApiKey from "../models/ApiKey.js";
+import { hashToken, clientInfo } from "./session.js";
+import logger from "./logger.js";
+
+const KEY_PREFIX = "ulf_";
+
+// Returns the raw key (shown to the admin once) and the fields to persist.
+export function generateApiKey() {
+  const raw = `${KEY_PREFIX}${crypto.randomBytes(24).toString("hex")}`;
+  return { raw, keyHash: hashToken(raw), prefix: raw.slice(0, KEY_PREFIX.length + 8) };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🔎 Resolve an X-API-Key header to an active key                            */
+/* -------------------------------------------------------------------------- */
+export async function findActiveApiKey(raw) {
+  if (!raw || !String(raw).startsWith(KEY_PREFIX)) return null;
+  const key = await ApiKey.findOne({ keyHash: hashToken(raw), revokedAt: null }).lean();
+  if (!key) return null;
+  if (key.expiresAt && key.expiresAt <= new Date()) return null;
+  return key;
+}
+
+// Fire-and-forget so tracking never slows down or fails the request.
+export function touchApiKey(key, req) {
+  ApiKey.updateOne(
+    { _id: key._id },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: clientInfo(req).ip }, $inc: { usageCount: 1 } }
+  ).catch((err) => logger.error("Failed to record API key usage", { message: err?.message }));
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🚦 Per-key rate limit (requests per minute, configured on each key)        */
+/* -------------------------------------------------------------------------- */
+export const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: (req) => req.user?.apiKeyRateLimit || 60,
+  keyGenerator: (req) => `api-key:${req.user?.apiKeyId}`,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: "API key rate limit exceeded, please slow down." },
+});
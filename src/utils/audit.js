@@ -0,0 +1,76 @@
+import AuditLog from "../models/AuditLog.js";
+import { clientInfo } from "./session.js";
+import logger from "./logger.js";
+
+// Never copied into the audit trail, even as a diff
+const SENSITIVE_KEYS = new Set([
+  "passwordHash",
+  "resetToken",
+  "resetTokenExpires",
+  "tokenHash",
+  "refreshTokenHash",
+  "twoFactor",
+  "keyHash",
+]);
+const IGNORED_KEYS = new Set(["_id", "__v", "createdAt", "updatedAt"]);
+
+function toPlain(value) {
+  if (!value) return {};
+  if (typeof value.toObject === "function") return value.toObject({ depopulate: true });
+  return value;
+}
+
+function comparable(value) {
+  if (value === undefined) return null;
+  return JSON.stringify(value);
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🔍 Field-level before/after diff                                           */
+/* -------------------------------------------------------------------------- */
+export function diffObjects(before, after) {
+  const a = toPlain(before);
+  const b = toPlain(after);
+  const diff = {};
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  for (const key of keys) {
+    if (IGNORED_KEYS.has(key)) continue;
+    if (comparable(a[key]) === comparable(b[key])) continue;
+    diff[key] = SENSITIVE_KEYS.has(key)
+      ? { from: "[redacted]", to: "[redacted]" }
+      : { from: a[key] ?? null, to: b[key] ?? null };
+  }
+  return diff;
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🧾 Append an entry — failures are logged, never thrown                     */
+/* -------------------------------------------------------------------------- */
+export async function recordAudit(req, { action, targetModel = "", targetId = "", before, after, meta = {} }) {
+  try {
+    const actor = req.user || {};
+    await AuditLog.create({
+      actor: {
+        id: actor.id ? String(actor.id) : "",
+        fullname: actor.fullname || "",
+        email: actor.email || "",
+        role: actor.role || "",
+      },
+      ...(actor.impersonator && {
+        impersonator: {
+          id: actor.impersonator.id,
+          fullname: actor.impersonator.fullname,
+          email: actor.impersonator.email,
+        },
+      }),
+      action,
+      targetModel,
+      targetId: targetId ? String(targetId) : "",
+      diff: before || after ? diffObjects(before, after) : {},
+      meta,
+      ...clientInfo(req),
+    });
+  } catch (err) {
+    logger.error("Failed to write audit log", { action, message: err?.message });
+  }
+}
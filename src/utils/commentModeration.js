@@ -0,0 +1,92 @@
+import Settings from "../models/Settings.js";
+import Comment from "../models/Comment.js";
+import { isVisibleComment, countsTowardPost } from "./commentThreads.js";
+import { bumpCommentCount } from "./postCounters.js";
+
+const DEFAULTS = { moderationMode: "post", bannedWords: [], maxLinks: 2, reportThreshold: 3 };
+
+export async function getCommentSettings() {
+  const settings = await Settings.findOne().select("comments").lean();
+  return { ...DEFAULTS, ...(settings?.comments || {}) };
+}
+
+export const canModerateComments = (req) => !!req.user?.permissions?.includes("comments:moderate");
+
+/* -------------------------------------------------------------------------- */
+/* 🧹 Spam heuristics — banned words and link count                           */
+/* -------------------------------------------------------------------------- */
+const LINK_RE = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|info|biz|xyz|ru|top|io|ng)\b/gi;
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Returns the reasons a comment looks suspicious (empty when it's clean).
+export function screenComment(text, settings) {
+  const flags = [];
+  const body = String(text || "").toLowerCase();
+  for (const word of settings.bannedWords || []) {
+    if (!word) continue;
+    if (new RegExp(`(^|\\W)${escapeRegex(word)}(?=\\W|$)`, "i").test(body)) {
+      flags.push(`banned-word:${word}`);
+    }
+  }
+  const links = body.match(LINK_RE)?.length || 0;
+  if (links > settings.maxLinks) flags.push(`links:${links}`);
+  return flags;
+}
+
+// Moderators publish straight away; everyone else is held when the site runs
+// pre-moderation or the text trips a heuristic.
+export function initialCommentStatus({ moderator, settings, flags }) {
+  if (moderator) return "approved";
+  if (flags.length > 0 || settings.moderationMode === "pre") return "pending";
+  return "approved";
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🔁 Status changes keep the parent's visible reply count in step            */
+/* -------------------------------------------------------------------------- */
+export async function setCommentStatus(comment, status, { reviewer, note, flags } = {}) {
+  const wasVisible = isVisibleComment(comment);
+  const wasCounted = countsTowardPost(comment);
+  comment.status = status;
+  if (flags) comment.moderation.flags = flags;
+  if (reviewer) {
+    comment.moderation.reviewedBy = String(reviewer.id);
+    comment.moderation.reviewedByName = reviewer.fullname || null;
+    comment.moderation.reviewedAt = new Date();
+    comment.moderation.note = note || "";
+  }
+  // An approval overrules earlier reports
+  if (status === "approved" && reviewer) comment.reportCount = 0;
+  await comment.save();
+
+  const nowVisible = isVisibleComment(comment);
+  if (comment.parentId && wasVisible !== nowVisible) {
+    await Comment.updateOne({ _id: comment.parentId }, { $inc: { replyCount: nowVisible ? 1 : -1 } });
+  }
+  const nowCounted = countsTowardPost(comment);
+  if (wasCounted !== nowCounted) await bumpCommentCount(comment.postId, nowCounted ? 1 : -1);
+  return comment;
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🚩 Visitor reports — auto-hide once the threshold is reached               */
+/* -------------------------------------------------------------------------- */
+// reportCount only grows once per CommentReport, which is unique per signed-in
+// account or per IP address, so a single visitor can't reach the threshold by
+// changing headers. Returns true when this report is the one that hid the
+// comment.
+export async function applyReport(commentId, settings) {
+  const hidden = await Comment.findOneAndUpdate(
+    Comment.visibleFilter({ _id: commentId, reportCount: { $gte: settings.reportThreshold } }),
+    { $set: { status: "hidden" }, $addToSet: { "moderation.flags": "reports" } },
+    { new: true }
+  );
+  if (hidden?.parentId) {
+    await Comment.updateOne({ _id: hidden.parentId }, { $inc: { replyCount: -1 } });
+  }
+  if (hidden) await bumpCommentCount(hidden.postId, -1);
+  return !!hidden;
+}
@@ -0,0 +1,121 @@
+import Comment, { MAX_COMMENT_DEPTH } from "../models/Comment.js";
+import CommentReport from "../models/CommentReport.js";
+import { bumpCommentCount } from "./postCounters.js";
+
+export const DELETED_PLACEHOLDER = "This comment was deleted.";
+
+// Legacy comments have no status and are public
+export const isVisibleComment = (c) => !c.status || c.status === "approved";
+
+// What Post.commentsCount counts
+export const countsTowardPost = (c) => isVisibleComment(c) && !c.deletedAt;
+
+// Shapes a comment for the public API: placeholders lose their text and
+// author, and the caller learns whether they may edit it (`visitorIds` lists
+// every id the caller may have commented under).
+export function presentComment(c, visitorIds) {
+  const deleted = !!c.deletedAt;
+  return {
+    ...c,
+    text: deleted ? DELETED_PLACEHOLDER : c.text,
+    author: deleted ? { fullname: "Deleted", avatar: "/default-avatar.png" } : c.author,
+    ownerId: deleted ? null : c.ownerId,
+    isDeleted: deleted,
+    canEdit: !deleted && !!c.ownerId && visitorIds.includes(c.ownerId),
+    moderation: undefined,
+    reportCount: undefined,
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🧵 Where a new reply hangs                                                 */
+/* -------------------------------------------------------------------------- */
+// Replies below the deepest level attach to the parent's parent so threads
+// stay readable. Returns { parent, depth } or { error }.
+export async function resolveReplyParent(postId, parentId) {
+  if (!parentId) return { parent: null, depth: 0 };
+  let parent = await Comment.findOne({ _id: parentId, postId });
+  if (!parent) return { error: "Parent comment not found" };
+  if (parent.deletedAt || !isVisibleComment(parent)) {
+    return { error: "You can't reply to this comment" };
+  }
+  while (parent.depth >= MAX_COMMENT_DEPTH && parent.parentId) {
+    parent = await Comment.findById(parent.parentId);
+    if (!parent) return { error: "Parent comment not found" };
+  }
+  // The ancestor a deep reply is re-parented to must be open to replies too
+  if (parent.deletedAt || !isVisibleComment(parent)) {
+    return { error: "You can't reply to this comment" };
+  }
+  return { parent, depth: parent.depth + 1 };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 📖 Load replies level by level                                             */
+/* -------------------------------------------------------------------------- */
+// Attaches up to `replyLimit` oldest-first replies to each comment, recursing
+// `depth` levels. Each comment gets `replies` and `hasMoreReplies`. Only
+// approved replies are loaded; `replyCount` counts those alone.
+export async function attachReplies(comments, { depth, replyLimit, visitorIds }) {
+  let level = comments;
+  for (let d = 0; d < depth && level.length > 0; d++) {
+    const parentIds = level.filter((c) => c.replyCount > 0).map((c) => c._id);
+    const groups = parentIds.length
+      ? await Comment.aggregate([
+          { $match: Comment.visibleFilter({ parentId: { $in: parentIds } }) },
+          { $sort: { createdAt: 1 } },
+          { $group: { _id: "$parentId", items: { $push: "$$ROOT" } } },
+          { $project: { items: { $slice: ["$items", replyLimit] } } },
+        ])
+      : [];
+    const byParent = new Map(groups.map((g) => [String(g._id), g.items]));
+
+    const next = [];
+    for (const c of level) {
+      const replies = (byParent.get(String(c._id)) || []).map((r) => presentComment(r, visitorIds));
+      c.replies = replies;
+      c.hasMoreReplies = (c.replyCount || 0) > replies.length;
+      next.push(...replies);
+    }
+    level = next;
+  }
+  // Anything below the requested depth only reports its count
+  for (const c of level) {
+    if (!c.replies) {
+      c.replies = [];
+      c.hasMoreReplies = (c.replyCount || 0) > 0;
+    }
+  }
+  return comments;
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🗑️ Delete — placeholder if replies exist, otherwise remove                 */
+/* -------------------------------------------------------------------------- */
+// Replies still awaiting moderation count too, so approving them later never
+// leaves an orphan. Removing a leaf may leave an empty placeholder above it;
+// those are cleaned up as well.
+export async function deleteComment(comment) {
+  if (countsTowardPost(comment)) await bumpCommentCount(comment.postId, -1);
+  if (await Comment.exists({ parentId: comment._id })) {
+    comment.deletedAt = new Date();
+    comment.text = "";
+    await comment.save();
+    return { placeholder: true };
+  }
+
+  let current = comment;
+  while (current) {
+    await Promise.all([
+      Comment.deleteOne({ _id: current._id }),
+      CommentReport.deleteMany({ commentId: current._id }),
+    ]);
+    if (!current.parentId) break;
+    const parent = isVisibleComment(current)
+      ? await Comment.findOneAndUpdate({ _id: current.parentId }, { $inc: { replyCount: -1 } }, { new: true })
+      : await Comment.findById(current.parentId);
+    current =
+      parent && parent.deletedAt && !(await Comment.exists({ parentId: parent._id })) ? parent : null;
+  }
+  return { placeholder: false };
+}
@@ -0,0 +1,80 @@
+import crypto from "crypto";
+
+/* =============================================================================
+   🍪 COOKIE SESSION MODE
+   -----------------------------------------------------------------------------
+   Clients opt in with `X-Auth-Mode: cookie`. Tokens then travel in HttpOnly
+   cookies instead of the response body, and state-changing requests must echo
+   the readable CSRF cookie back in an `X-CSRF-Token` header (double submit).
+   ============================================================================= */
+export const ACCESS_COOKIE = "ulf_access";
+export const REFRESH_COOKIE = "ulf_refresh";
+export const CSRF_COOKIE = "ulf_csrf";
+export const CSRF_HEADER = "x-csrf-token";
+
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+function baseCookieOptions() {
+  const sameSite = (process.env.COOKIE_SAMESITE || "lax").toLowerCase();
+  return {
+    // SameSite=None is only honoured by browsers on Secure cookies
+    secure: process.env.NODE_ENV === "production" || sameSite === "none",
+    sameSite,
+    domain: process.env.COOKIE_DOMAIN || undefined,
+  };
+}
+
+export function wantsCookieSession(req) {
+  return (req.get("x-auth-mode") || "").toLowerCase() === "cookie";
+}
+
+export function readAccessCookie(req) {
+  return req.cookies?.[ACCESS_COOKIE] || null;
+}
+
+export function readRefreshCookie(req) {
+  return req.cookies?.[REFRESH_COOKIE] || null;
+}
+
+/* -------------------------------------------------------------------------- */
+/* 📤 Hand tokens to the client — cookies or response body                    */
+/* -------------------------------------------------------------------------- */
+// Returns the fields to merge into the JSON response.
+export function issueSessionTokens(
+  req,
+  res,
+  { session, token, refreshToken },
+  { cookieMode = wantsCookieSession(req) } = {}
+) {
+  if (!cookieMode) return { token, refreshToken };
+
+  const base = baseCookieOptions();
+  const expires = session.expiresAt;
+  const csrfToken = crypto.randomBytes(32).toString("hex");
+
+  res.cookie(ACCESS_COOKIE, token, { ...base, httpOnly: true, path: "/api", expires });
+  res.cookie(REFRESH_COOKIE, refreshToken, { ...base, httpOnly: true, path: "/api/auth", expires });
+  res.cookie(CSRF_COOKIE, csrfToken, { ...base, httpOnly: false, path: "/", expires });
+
+  return { authMode: "cookie", csrfToken };
+}
+
+export function clearSessionCookies(res) {
+  const base = baseCookieOptions();
+  res.clearCookie(ACCESS_COOKIE, { ...base, path: "/api" });
+  res.clearCookie(REFRESH_COOKIE, { ...base, path: "/api/auth" });
+  res.clearCookie(CSRF_COOKIE, { ...base, path: "/" });
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🛡️ Double-submit CSRF check                                                */
+/* -------------------------------------------------------------------------- */
+export function verifyCsrf(req) {
+  if (SAFE_METHODS.has(req.method)) return true;
+  const cookie = req.cookies?.[CSRF_COOKIE];
+  const header = req.get(CSRF_HEADER);
+  if (!cookie || !header) return false;
+  const a = Buffer.from(String(cookie));
+  const b = Buffer.from(String(header));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
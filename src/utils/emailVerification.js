@@ -0,0 +1,47 @@
+import jwt from "jsonwebtoken";
+import { getJwtSecret } from "./session.js";
+import { sendMail, getFrontendBase, logDevLink } from "./mailer.js";
+
+const VERIFY_TTL = "24h";
+
+/* -------------------------------------------------------------------------- */
+/* ✉️ Signed, expiring email-verification links                               */
+/* -------------------------------------------------------------------------- */
+// The token is bound to the address it was sent to, so a link stops working
+// once the account's email changes.
+export function signVerificationToken(user) {
+  return jwt.sign(
+    { sub: String(user._id), email: user.email, purpose: "verify-email" },
+    getJwtSecret(),
+    { expiresIn: VERIFY_TTL }
+  );
+}
+
+export function readVerificationToken(token) {
+  try {
+    const payload = jwt.verify(token, getJwtSecret());
+    if (payload.purpose !== "verify-email") return null;
+    return { userId: payload.sub, email: payload.email };
+  } catch {
+    return null;
+  }
+}
+
+export async function sendVerificationEmail(user) {
+  const token = signVerificationToken(user);
+  const verifyUrl = `${getFrontendBase()}/#/verify-email/${token}`;
+  logDevLink("Email verification link", verifyUrl);
+
+  await sendMail({
+    to: user.email,
+    subject: "Confirm your email address",
+    html: `
+      <p>Hello ${user.fullname},</p>
+      <p>Thanks for joining United Link Foundation. Please confirm your email address.</p>
+      <p><a href="${verifyUrl}" target="_blank">Click here to verify your email</a></p>
+      <p>This link will expire in 24 hours.</p>
+      <br/>
+      <p>If you didn’t create an account, you can safely ignore this email.</p>
+    `,
+  });
+}
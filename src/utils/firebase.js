@@ -62,6 +62,12 @@ export async function deleteFirebaseFile(destinationPath) {
   await file.delete().catch(() => {});
 }
 
+export async function downloadFirebaseFile(destinationPath) {
+  const bucket = getBucket();
+  const [contents] = await bucket.file(destinationPath).download();
+  return contents;
+}
+
 export function gcsPathFromUrl(url) {
   try {
     const u = new URL(url);
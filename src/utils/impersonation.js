@@ -0,0 +1,59 @@
+import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import Session from "../models/Session.js";
+import { getJwtSecret, hashToken, clientInfo } from "./session.js";
+import { recordAudit } from "./audit.js";
+
+const IMPERSONATION_TTL_MS = 15 * 60 * 1000; // 15 minutes, no refresh
+
+/* -------------------------------------------------------------------------- */
+/* 🎭 Start an impersonation session                                          */
+/* -------------------------------------------------------------------------- */
+// The token belongs to the target user but carries an `act` claim naming the
+// admin really behind it. It has its own session (so logout ends it early)
+// and no refresh token.
+export async function createImpersonationSession(target, actor, req, reason) {
+  const expiresAt = new Date(Date.now() + IMPERSONATION_TTL_MS);
+  const session = await Session.create({
+    userId: target._id,
+    refreshTokenHash: hashToken(crypto.randomBytes(32).toString("hex")),
+    expiresAt,
+    impersonatorId: actor.id,
+    impersonationReason: reason,
+    ...clientInfo(req),
+  });
+
+  const token = jwt.sign(
+    {
+      id: target._id,
+      sid: session._id,
+      role: target.role,
+      fullname: target.fullname,
+      email: target.email,
+      act: { id: actor.id, fullname: actor.fullname, email: actor.email },
+    },
+    getJwtSecret(),
+    { expiresIn: Math.floor(IMPERSONATION_TTL_MS / 1000) }
+  );
+
+  return { session, token, expiresAt };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🧾 Audit every request made while impersonating                            */
+/* -------------------------------------------------------------------------- */
+export function auditImpersonatedRequest(req, res) {
+  if (!req.user?.impersonator) return;
+  res.on("finish", () => {
+    recordAudit(req, {
+      action: "impersonation.request",
+      targetModel: "User",
+      targetId: req.user.id,
+      meta: {
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+      },
+    });
+  });
+}
@@ -0,0 +1,41 @@
+import crypto from "crypto";
+import { hashToken } from "./session.js";
+import { sendMail, getFrontendBase, logDevLink } from "./mailer.js";
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Gives the invitation a fresh token and expiry; returns the raw token for the
+// email. Any earlier link stops working.
+export function issueInvitationToken(invitation) {
+  const token = crypto.randomBytes(32).toString("hex");
+  invitation.tokenHash = hashToken(token);
+  invitation.expiresAt = new Date(Date.now() + INVITE_TTL_MS);
+  return token;
+}
+
+export function pendingInvitationFilter(extra = {}) {
+  return {
+    ...extra,
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  };
+}
+
+export async function sendInvitationEmail(invitation, token) {
+  const inviteUrl = `${getFrontendBase()}/#/accept-invite/${token}`;
+  logDevLink("Invitation link", inviteUrl);
+
+  await sendMail({
+    to: invitation.email,
+    subject: "You're invited to United Link Foundation",
+    html: `
+      <p>Hello ${invitation.fullname},</p>
+      <p>${invitation.invitedByName || "The United Link Foundation team"} has invited you to join the United Link Foundation portal.</p>
+      <p><a href="${inviteUrl}" target="_blank">Click here to set your password and activate your account</a></p>
+      <p>This link will expire in 7 days and can only be used once.</p>
+      <br/>
+      <p>If you weren’t expecting this invitation, you can safely ignore this email.</p>
+    `,
+  });
+}
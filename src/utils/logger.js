@@ -12,6 +12,10 @@ function sanitize(obj) {
     "passwordHash",
     "token",
     "resetToken",
+    "refreshToken",
+    "secret",
+    "pendingSecret",
+    "recoveryCodes",
     "JWT_SECRET",
     "EMAIL_PASS",
     "SMTP_PASS",
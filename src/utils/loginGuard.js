@@ -0,0 +1,95 @@
+import User from "../models/User.js";
+import LoginEvent from "../models/LoginEvent.js";
+import { clientInfo } from "./session.js";
+import { sendMail } from "./mailer.js";
+import logger from "./logger.js";
+
+/* =============================================================================
+   🧱 PER-ACCOUNT BRUTE-FORCE PROTECTION
+   -----------------------------------------------------------------------------
+   After LOCK_THRESHOLD consecutive failures the account is locked; each further
+   failure doubles the lock (15m, 30m, 1h, … capped at 24h). A successful login
+   resets the counter.
+   ============================================================================= */
+const LOCK_THRESHOLD = 5;
+const BASE_LOCK_MS = 15 * 60 * 1000;
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+
+export function lockDurationMs(failedAttempts) {
+  if (failedAttempts < LOCK_THRESHOLD) return 0;
+  const doublings = failedAttempts - LOCK_THRESHOLD;
+  return Math.min(BASE_LOCK_MS * 2 ** doublings, MAX_LOCK_MS);
+}
+
+export function lockRemainingMs(user) {
+  if (!user?.lockUntil) return 0;
+  return Math.max(0, new Date(user.lockUntil).getTime() - Date.now());
+}
+
+export async function recordLoginEvent(req, { user = null, email = "", success, reason = "" }) {
+  try {
+    await LoginEvent.create({
+      userId: user?._id || null,
+      email: (user?.email || email || "").toString().toLowerCase(),
+      success,
+      reason,
+      ...clientInfo(req),
+    });
+  } catch (err) {
+    logger.error("Failed to record login event", { message: err?.message });
+  }
+}
+
+async function notifyLocked(user, req, untilDate) {
+  const { ip } = clientInfo(req);
+  await sendMail({
+    to: user.email,
+    subject: "Your account has been temporarily locked",
+    html: `
+      <p>Hello ${user.fullname},</p>
+      <p>We locked your United Link Foundation account after several failed sign-in attempts.</p>
+      <p>You can try again after <b>${untilDate.toUTCString()}</b>.</p>
+      <p>The last attempt came from IP address ${ip || "unknown"}.</p>
+      <br/>
+      <p>If this wasn’t you, consider resetting your password and contact an administrator.</p>
+    `,
+  });
+}
+
+// Counts atomically so parallel guesses can't overwrite each other's
+// increment, then mirrors the stored state onto `user`.
+export async function registerFailedLogin(user, req, reason) {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+    { new: true }
+  );
+  user.failedLoginAttempts = updated?.failedLoginAttempts ?? (user.failedLoginAttempts || 0) + 1;
+  user.lastFailedLoginAt = updated?.lastFailedLoginAt ?? new Date();
+
+  const lockMs = lockDurationMs(user.failedLoginAttempts);
+  if (lockMs > 0) {
+    user.lockUntil = new Date(Date.now() + lockMs);
+    await User.updateOne({ _id: user._id }, { $set: { lockUntil: user.lockUntil } });
+  }
+  await recordLoginEvent(req, { user, success: false, reason });
+
+  if (lockMs > 0) {
+    logger.warn("Account locked after failed logins", {
+      userId: String(user._id),
+      attempts: user.failedLoginAttempts,
+    });
+    notifyLocked(user, req, user.lockUntil).catch((err) =>
+      logger.error("Failed to send lockout email", { message: err?.message })
+    );
+  }
+}
+
+export async function registerSuccessfulLogin(user, req) {
+  if (user.failedLoginAttempts || user.lockUntil) {
+    user.failedLoginAttempts = 0;
+    user.lockUntil = null;
+    await user.save();
+  }
+  await recordLoginEvent(req, { user, success: true });
+}
@@ -0,0 +1,41 @@
+import nodemailer from "nodemailer";
+import logger from "./logger.js";
+
+/* -------------------------------------------------------------------------- */
+/* 📨 Transactional mail (Gmail, EMAIL_USER / EMAIL_PASS)                     */
+/* -------------------------------------------------------------------------- */
+export function getTransporter() {
+  return nodemailer.createTransport({
+    service: "gmail",
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS,
+    },
+  });
+}
+
+export function getFrontendBase() {
+  const raw =
+    process.env.FRONTEND_URL ||
+    (process.env.NODE_ENV === "production"
+      ? "https://unitedlinkfoundation.com"
+      : "http://localhost:5173");
+  return raw.replace(/\/+$/, "");
+}
+
+export async function sendMail({ to, subject, html, attachments }) {
+  return getTransporter().sendMail({
+    from: `"United Link Foundation" <${process.env.EMAIL_USER}>`,
+    to,
+    subject,
+    html,
+    attachments,
+  });
+}
+
+// 🧩 Local development fallback — print links instead of relying on SMTP
+export function logDevLink(label, url) {
+  if (process.env.NODE_ENV !== "production") {
+    logger.info(label, { url });
+  }
+}
@@ -0,0 +1,92 @@
+import Member from "../models/Member.js";
+import User from "../models/User.js";
+
+// Compare phone numbers on their last 10 digits so "+234 803…" and "0803…"
+// match.
+export function normalizePhone(phone) {
+  const digits = String(phone || "").replace(/\D/g, "");
+  return digits.length >= 7 ? digits.slice(-10) : "";
+}
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🔍 Propose User ↔ Member pairs by email or phone                           */
+/* -------------------------------------------------------------------------- */
+// Only unlinked records on both sides, and only accounts with a verified
+// email, are considered. A pair is proposed when it matches on email and is
+// unambiguous in both directions. Phone numbers are self-declared and never
+// verified, so phone-only matches — like every other doubtful case — are
+// reported for a human to resolve.
+export async function findMemberMatches() {
+  const [members, users, linked] = await Promise.all([
+    Member.find({ userId: null }).select("name email phone").lean(),
+    User.find({ isActive: { $ne: false }, emailVerified: true }).select("fullname email phone").lean(),
+    Member.find({ userId: { $ne: null } }).distinct("userId"),
+  ]);
+  const linkedUsers = new Set(linked.map(String));
+
+  const byEmail = new Map();
+  const byPhone = new Map();
+  for (const u of users) {
+    if (linkedUsers.has(String(u._id))) continue;
+    const email = normalizeEmail(u.email);
+    const phone = normalizePhone(u.phone);
+    if (email) byEmail.set(email, [...(byEmail.get(email) || []), u]);
+    if (phone) byPhone.set(phone, [...(byPhone.get(phone) || []), u]);
+  }
+
+  const proposals = [];
+  const ambiguous = [];
+  const claimed = new Map(); // userId -> number of members pointing at it
+  for (const m of members) {
+    const candidates = new Map();
+    for (const u of byEmail.get(normalizeEmail(m.email)) || []) candidates.set(String(u._id), { user: u, by: "email" });
+    for (const u of byPhone.get(normalizePhone(m.phone)) || []) {
+      const id = String(u._id);
+      candidates.set(id, { user: u, by: candidates.has(id) ? "email+phone" : "phone" });
+    }
+    if (candidates.size === 0) continue;
+    if (candidates.size > 1) {
+      ambiguous.push({ memberId: m._id, name: m.name, userIds: [...candidates.keys()], reason: "several accounts" });
+      continue;
+    }
+    const [[userId, match]] = candidates;
+    if (match.by === "phone") {
+      ambiguous.push({ memberId: m._id, name: m.name, userIds: [userId], reason: "phone only" });
+      continue;
+    }
+    claimed.set(userId, (claimed.get(userId) || 0) + 1);
+    proposals.push({ memberId: m._id, name: m.name, userId, fullname: match.user.fullname, matchedBy: match.by });
+  }
+
+  // 🧮 Two registry records pointing at one account → leave both for review
+  const matches = [];
+  for (const p of proposals) {
+    if (claimed.get(p.userId) > 1) {
+      ambiguous.push({ memberId: p.memberId, name: p.name, userIds: [p.userId], reason: "several records" });
+    } else {
+      matches.push(p);
+    }
+  }
+  return { matches, ambiguous };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🔗 Link / unlink                                                           */
+/* -------------------------------------------------------------------------- */
+export async function linkMember(member, userId, linkedBy) {
+  member.userId = userId;
+  member.linkedAt = new Date();
+  member.linkedBy = String(linkedBy || "");
+  return member.save();
+}
+
+export async function unlinkMember(member) {
+  member.userId = null;
+  member.linkedAt = null;
+  member.linkedBy = "";
+  return member.save();
+}
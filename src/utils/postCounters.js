@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+import Post from "../models/Post.js";
+import Comment from "../models/Comment.js";
+import Reaction from "../models/Reaction.js";
+
+/* -------------------------------------------------------------------------- */
+/* 🔢 Denormalised feed counters on Post                                      */
+/* -------------------------------------------------------------------------- */
+// commentsCount counts approved, non-deleted comments (replies included);
+// reactionCounts holds one number per reaction type. Writes bump them in
+// place, and recountPostCounters() rebuilds them from scratch.
+export function bumpCommentCount(postId, delta) {
+  return Post.updateOne({ _id: postId }, { $inc: { commentsCount: delta } }, { timestamps: false });
+}
+
+export function bumpReactionCount(postId, type, delta) {
+  return Post.updateOne(
+    { _id: postId },
+    { $inc: { [`reactionCounts.${type}`]: delta } },
+    { timestamps: false }
+  );
+}
+
+// Pass post ids to fix just those posts, or nothing to rebuild every post.
+export async function recountPostCounters(postIds) {
+  const scope = postIds ? { postId: { $in: postIds.map((id) => new mongoose.Types.ObjectId(String(id))) } } : {};
+  const [comments, reactions] = await Promise.all([
+    Comment.aggregate([
+      { $match: Comment.visibleFilter({ ...scope, deletedAt: null }) },
+      { $group: { _id: "$postId", count: { $sum: 1 } } },
+    ]),
+    Reaction.aggregate([
+      { $match: scope },
+      { $group: { _id: { postId: "$postId", type: "$type" }, count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const counters = new Map();
+  const entry = (id) => {
+    const key = String(id);
+    if (!counters.has(key)) counters.set(key, { commentsCount: 0, reactionCounts: {} });
+    return counters.get(key);
+  };
+  for (const id of postIds || (await Post.distinct("_id"))) entry(id);
+  for (const row of comments) entry(row._id).commentsCount = row.count;
+  for (const row of reactions) entry(row._id.postId).reactionCounts[row._id.type] = row.count;
+
+  const ops = [...counters].map(([id, $set]) => ({ updateOne: { filter: { _id: id }, update: { $set } } }));
+  if (ops.length > 0) await Post.bulkWrite(ops, { timestamps: false });
+  return ops.length;
+}
@@ -0,0 +1,95 @@
+import mongoose from "mongoose";
+import Post from "../models/Post.js";
+import Category from "../models/Category.js";
+import Comment from "../models/Comment.js";
+import Reaction from "../models/Reaction.js";
+
+/* -------------------------------------------------------------------------- */
+/* 🧭 Opaque cursors — newest first by (publishedAt, _id)                     */
+/* -------------------------------------------------------------------------- */
+export function encodeCursor(post) {
+  const at = post.publishedAt ? new Date(post.publishedAt).getTime() : "";
+  return Buffer.from(`${at}_${post._id}`).toString("base64url");
+}
+
+// Returns null for anything that isn't a cursor we issued.
+export function decodeCursor(cursor) {
+  const [at, id] = Buffer.from(String(cursor), "base64url").toString("utf8").split("_");
+  if (!id || !mongoose.isValidObjectId(id) || (at && !/^\d+$/.test(at))) return null;
+  return { publishedAt: at ? new Date(Number(at)) : null, _id: new mongoose.Types.ObjectId(id) };
+}
+
+// Posts strictly after the cursor in feed order. Posts without a publishedAt
+// sort last.
+function afterCursor({ publishedAt, _id }) {
+  if (!publishedAt) return { publishedAt: null, _id: { $lt: _id } };
+  return {
+    $or: [
+      { publishedAt: { $lt: publishedAt } },
+      { publishedAt, _id: { $lt: _id } },
+      { publishedAt: null },
+    ],
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 📬 One page of the public feed in a single aggregation                     */
+/* -------------------------------------------------------------------------- */
+// Category, the latest comments and the visitor's own reaction are joined in
+// the same round trip; comment and reaction totals come from the denormalised
+// counters on Post. Pass `after` (decoded cursor) or `skip` for page numbers.
+export async function fetchFeedPage({ filter, limit, after, skip = 0, visitorIds, latestComments = 3 }) {
+  const match = Post.publicFilter(after ? { $and: [filter, afterCursor(after)] } : filter);
+  const pipeline = [
+    { $match: match },
+    { $sort: { publishedAt: -1, _id: -1 } },
+    ...(after || !skip ? [] : [{ $skip: skip }]),
+    { $limit: limit + 1 },
+    {
+      $lookup: {
+        from: Category.collection.name,
+        localField: "category",
+        foreignField: "_id",
+        pipeline: [{ $project: { name: 1, slug: 1 } }],
+        as: "category",
+      },
+    },
+    { $set: { category: { $ifNull: [{ $arrayElemAt: ["$category", 0] }, null] } } },
+  ];
+
+  if (latestComments > 0) {
+    pipeline.push({
+      $lookup: {
+        from: Comment.collection.name,
+        localField: "_id",
+        foreignField: "postId",
+        pipeline: [
+          { $match: Comment.visibleFilter({ deletedAt: null }) },
+          { $sort: { createdAt: -1 } },
+          { $limit: latestComments },
+          { $project: { text: 1, author: 1, createdAt: 1 } },
+        ],
+        as: "latestComments",
+      },
+    });
+  }
+  if (visitorIds?.length) {
+    pipeline.push(
+      {
+        $lookup: {
+          from: Reaction.collection.name,
+          localField: "_id",
+          foreignField: "postId",
+          pipeline: [{ $match: { userId: { $in: visitorIds } } }, { $project: { _id: 0, type: 1 } }],
+          as: "myReaction",
+        },
+      },
+      { $set: { myReaction: { $ifNull: [{ $arrayElemAt: ["$myReaction.type", 0] }, null] } } }
+    );
+  }
+
+  const rows = await Post.aggregate(pipeline);
+  const hasMore = rows.length > limit;
+  const posts = hasMore ? rows.slice(0, limit) : rows;
+  return { posts, hasMore, nextCursor: hasMore ? encodeCursor(posts[posts.length - 1]) : null };
+}
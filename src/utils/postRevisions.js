@@ -0,0 +1,81 @@
+import PostRevision from "../models/PostRevision.js";
+import { diffText } from "./textDiff.js";
+
+function mediaKey(m) {
+  return typeof m === "string" ? m : m?.full || m?.thumb || "";
+}
+
+export function snapshotOf(post) {
+  const p = typeof post.toObject === "function" ? post.toObject({ depopulate: true }) : post;
+  return {
+    title: p.title || "",
+    content: p.content || "",
+    imageUrls: (p.imageUrls || []).map((m) => (typeof m === "string" ? m : { full: m.full, thumb: m.thumb, type: m.type })),
+    category: p.category?._id || p.category || null,
+    tags: [...(p.tags || [])],
+    seo: {
+      metaDescription: p.seo?.metaDescription || "",
+      canonicalUrl: p.seo?.canonicalUrl || "",
+      socialImage: p.seo?.socialImage || "",
+    },
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 📝 Record a revision of the post as it is now                              */
+/* -------------------------------------------------------------------------- */
+// Retries once on a version clash (two editors saving at the same moment).
+export async function recordRevision(post, editor, reason = "update", extra = {}) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const latest = await PostRevision.findOne({ postId: post._id }).sort({ version: -1 }).select("version").lean();
+    try {
+      return await PostRevision.create({
+        postId: post._id,
+        version: (latest?.version || 0) + 1,
+        snapshot: snapshotOf(post),
+        editor: { id: editor?.id ? String(editor.id) : "", fullname: editor?.fullname || "" },
+        reason,
+        ...extra,
+      });
+    } catch (err) {
+      if (err?.code !== 11000 || attempt === 1) throw err;
+    }
+  }
+}
+
+// Posts created before revisions existed get their pre-edit state kept as
+// version 1, credited to the original author.
+export async function ensureBaseRevision(post) {
+  if (await PostRevision.exists({ postId: post._id })) return;
+  await recordRevision(
+    post,
+    { id: post.memberId ? String(post.memberId) : "", fullname: post.member?.fullname || "" },
+    "original"
+  );
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🔀 Compare two snapshots                                                   */
+/* -------------------------------------------------------------------------- */
+export function diffSnapshots(from, to) {
+  const fromMedia = (from.imageUrls || []).map(mediaKey);
+  const toMedia = (to.imageUrls || []).map(mediaKey);
+  const changed = (a, b) => JSON.stringify(a ?? null) !== JSON.stringify(b ?? null);
+
+  const fields = {};
+  for (const key of ["title", "category", "tags", "seo"]) {
+    if (changed(from[key], to[key])) fields[key] = { from: from[key] ?? null, to: to[key] ?? null };
+  }
+
+  return {
+    content: diffText(from.content, to.content),
+    contentChanged: from.content !== to.content,
+    media: {
+      added: toMedia.filter((u) => !fromMedia.includes(u)),
+      removed: fromMedia.filter((u) => !toMedia.includes(u)),
+      reordered: fromMedia.length === toMedia.length && changed(fromMedia, toMedia) &&
+        fromMedia.every((u) => toMedia.includes(u)),
+    },
+    fields,
+  };
+}
@@ -0,0 +1,41 @@
+import Post from "../models/Post.js";
+import logger from "./logger.js";
+
+const TICK_MS = Number(process.env.POST_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+let timer = null;
+
+/* -------------------------------------------------------------------------- */
+/* ⏰ Publish scheduled posts that are due                                    */
+/* -------------------------------------------------------------------------- */
+// A post scheduled again after unpublishing keeps its original publishedAt.
+export async function publishDuePosts(now = new Date()) {
+  const result = await Post.updateMany(
+    { status: "scheduled", publishAt: { $lte: now } },
+    [{ $set: { status: "published", publishedAt: { $ifNull: ["$publishedAt", "$publishAt"] }, unpublishedAt: null } }]
+  );
+  const published = result.modifiedCount || 0;
+  if (published > 0) logger.info("Published scheduled posts", { count: published });
+  return published;
+}
+
+// Legacy posts predate the status field; give them a status and a
+// publishedAt so the feed can sort on it.
+async function backfillLegacyPosts() {
+  const result = await Post.updateMany(
+    { $or: [{ status: { $exists: false } }, { status: "published", publishedAt: null }] },
+    [{ $set: { status: "published", publishedAt: { $ifNull: ["$publishedAt", "$createdAt"] } } }]
+  );
+  if (result.modifiedCount) logger.info("Backfilled post status", { count: result.modifiedCount });
+}
+
+export function startPostScheduler() {
+  if (timer) return;
+  const tick = () =>
+    publishDuePosts().catch((err) => logger.error("Post scheduler tick failed", { message: err?.message }));
+
+  backfillLegacyPosts()
+    .catch((err) => logger.error("Post status backfill failed", { message: err?.message }))
+    .finally(tick);
+  timer = setInterval(tick, TICK_MS);
+  timer.unref();
+}
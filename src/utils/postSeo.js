@@ -0,0 +1,29 @@
+import { plainText } from "../models/Post.js";
+import { getFrontendBase } from "./mailer.js";
+
+// Public page for a post, e.g. https://unitedlinkfoundation.com/#/posts/<slug>
+export function postPermalink(slug) {
+  const base = (process.env.POST_PERMALINK_BASE || `${getFrontendBase()}/#/posts`).replace(/\/+$/, "");
+  return `${base}/${slug}`;
+}
+
+function truncate(text, max) {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max - 1);
+  return `${cut.slice(0, cut.lastIndexOf(" ") > 0 ? cut.lastIndexOf(" ") : cut.length)}…`;
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🔎 Effective SEO metadata — stored overrides, else derived from the post   */
+/* -------------------------------------------------------------------------- */
+export function buildSeo(post) {
+  const seo = post.seo || {};
+  const text = plainText(post.content);
+  const firstImage = (post.imageUrls || []).find((m) => m && m.type !== "video");
+  return {
+    title: post.title || truncate(text, 70) || "United Link Foundation",
+    metaDescription: seo.metaDescription || truncate(text, 160),
+    canonicalUrl: seo.canonicalUrl || (post.slug ? postPermalink(post.slug) : null),
+    socialImage: seo.socialImage || firstImage?.full || firstImage?.thumb || null,
+  };
+}
@@ -0,0 +1,338 @@
+import fs from "fs/promises";
+import path from "path";
+import User from "../models/User.js";
+import Member from "../models/Member.js";
+import MemberCorrection from "../models/MemberCorrection.js";
+import Donation from "../models/Donation.js";
+import Comment from "../models/Comment.js";
+import CommentReport from "../models/CommentReport.js";
+import Like from "../models/Like.js";
+import Reaction from "../models/Reaction.js";
+import LoginEvent from "../models/LoginEvent.js";
+import Session from "../models/Session.js";
+import Invitation from "../models/Invitation.js";
+import AuditLog from "../models/AuditLog.js";
+import { normalizePhone } from "./memberLink.js";
+import { syncAuthorProfile } from "./profile.js";
+import { UPLOADS_ROOT, extractUploadsRel } from "./media.js";
+import { downloadFirebaseFile, deleteFirebaseFile, gcsPathFromUrl } from "./firebase.js";
+import { createZip } from "./zip.js";
+import { recountPostCounters } from "./postCounters.js";
+import logger from "./logger.js";
+
+// Placeholder credited to anonymised comments, donations and posts
+export const ERASED_NAME = "Deleted user";
+export const ERASED_OWNER = "erased";
+const ERASED_VALUE = "[erased]";
+
+/* -------------------------------------------------------------------------- */
+/* 🔎 Find every record tied to an email and/or phone                         */
+/* -------------------------------------------------------------------------- */
+// Phone numbers are stored free-form, so they're compared after normalising.
+async function matchByPhone(Model, phone) {
+  const wanted = normalizePhone(phone);
+  if (!wanted) return [];
+  const rows = await Model.find({ phone: { $nin: [null, ""] } }).select("phone").lean();
+  return rows.filter((r) => normalizePhone(r.phone) === wanted).map((r) => r._id);
+}
+
+export async function findSubjectRecords({ email, phone }) {
+  const mail = email ? String(email).trim().toLowerCase() : null;
+  const [userPhoneIds, memberPhoneIds] = await Promise.all([
+    matchByPhone(User, phone),
+    matchByPhone(Member, phone),
+  ]);
+
+  const users = await User.find({
+    $or: [...(mail ? [{ email: mail }] : []), { _id: { $in: userPhoneIds } }],
+  });
+  const userIds = users.map((u) => u._id);
+  const userIdStrings = userIds.map(String);
+
+  const members = await Member.find({
+    $or: [
+      ...(mail ? [{ email: mail }] : []),
+      { _id: { $in: memberPhoneIds } },
+      { userId: { $in: userIds } },
+    ],
+  });
+  const memberIds = members.map((m) => m._id);
+  const emails = [...new Set([mail, ...users.map((u) => u.email), ...members.map((m) => m.email)].filter(Boolean))];
+
+  const [donations, comments, likes, reactions, loginEvents, corrections, invitations] = await Promise.all([
+    Donation.find({
+      $or: [
+        { donorEmail: { $in: emails.map((e) => new RegExp(`^${escapeRegex(e)}$`, "i")) } },
+        { memberId: { $in: memberIds } },
+      ],
+    }),
+    Comment.find({ ownerId: { $in: userIdStrings } }),
+    Like.find({ userId: { $in: userIdStrings } }),
+    Reaction.find({ userId: { $in: userIdStrings } }),
+    LoginEvent.find({ $or: [{ userId: { $in: userIds } }, { email: { $in: emails } }] }),
+    MemberCorrection.find({ $or: [{ memberId: { $in: memberIds } }, { userId: { $in: userIds } }] }),
+    Invitation.find({ $or: [{ email: { $in: emails } }, { acceptedUser: { $in: userIds } }] }),
+  ]);
+
+  // 🧾 Audit entries about their records, or made by them
+  const targetIds = [...userIds, ...memberIds, ...donations, ...corrections, ...invitations]
+    .map((r) => String(r._id || r));
+  const auditLogs = await AuditLog.find({
+    $or: [
+      { targetId: { $in: targetIds } },
+      { "actor.id": { $in: userIdStrings } },
+      { "impersonator.id": { $in: userIdStrings } },
+      ...(emails.length > 0 ? [{ "actor.email": { $in: emails } }] : []),
+    ],
+  }).sort({ createdAt: 1 });
+
+  return {
+    emails,
+    users,
+    members,
+    donations,
+    comments,
+    likes,
+    reactions,
+    loginEvents,
+    corrections,
+    invitations,
+    auditLogs,
+  };
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+export function summarize(records) {
+  return Object.fromEntries(
+    Object.entries(records)
+      .filter(([key]) => key !== "emails")
+      .map(([key, rows]) => [key, rows.length])
+  );
+}
+
+/* -------------------------------------------------------------------------- */
+/* 📦 Export bundle (JSON, or ZIP with avatar files)                          */
+/* -------------------------------------------------------------------------- */
+function sanitizeUser(user) {
+  const u = user.toObject();
+  delete u.passwordHash;
+  delete u.resetToken;
+  delete u.resetTokenExpires;
+  if (u.twoFactor) u.twoFactor = { enabled: !!u.twoFactor.enabled, enabledAt: u.twoFactor.enabledAt };
+  return u;
+}
+
+export function buildExport(records, query) {
+  return {
+    generatedAt: new Date().toISOString(),
+    subject: query,
+    users: records.users.map(sanitizeUser),
+    members: records.members.map((m) => m.toObject()),
+    donations: records.donations.map((d) => d.toObject()),
+    comments: records.comments.map((c) => c.toObject()),
+    likes: records.likes.map((l) => l.toObject()),
+    reactions: records.reactions.map((r) => r.toObject()),
+    loginEvents: records.loginEvents.map((e) => e.toObject()),
+    memberCorrections: records.corrections.map((c) => c.toObject()),
+    invitations: records.invitations.map((i) => {
+      const inv = i.toObject();
+      delete inv.tokenHash;
+      return inv;
+    }),
+    auditLogs: records.auditLogs.map((l) => l.toObject()),
+  };
+}
+
+async function readAvatar(url) {
+  const rel = extractUploadsRel(url);
+  if (rel) {
+    const file = path.resolve(UPLOADS_ROOT, rel);
+    if (!file.startsWith(UPLOADS_ROOT + path.sep)) return null;
+    return fs.readFile(file);
+  }
+  const gcs = gcsPathFromUrl(url);
+  if (gcs) return downloadFirebaseFile(gcs);
+  return null;
+}
+
+export async function buildExportZip(bundle) {
+  const entries = [];
+  const missing = [];
+  const avatars = [
+    ...bundle.users.map((u) => ({ kind: "user", id: u._id, url: u.avatar })),
+    ...bundle.members.map((m) => ({ kind: "member", id: m._id, url: m.avatar })),
+  ].filter((a) => a.url && !a.url.startsWith("/"));
+
+  for (const a of avatars) {
+    try {
+      const data = await readAvatar(a.url);
+      if (!data) {
+        missing.push(a.url);
+        continue;
+      }
+      const ext = path.extname(new URL(a.url, "http://x").pathname) || ".jpg";
+      entries.push({ name: `avatars/${a.kind}-${a.id}${ext}`, data });
+    } catch (err) {
+      logger.warn("Privacy export: avatar unavailable", { url: a.url, message: err?.message });
+      missing.push(a.url);
+    }
+  }
+
+  entries.unshift({
+    name: "data.json",
+    data: JSON.stringify({ ...bundle, missingFiles: missing }, null, 2),
+  });
+  return createZip(entries);
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🧽 Erasure — delete personal records, anonymise shared ones                */
+/* -------------------------------------------------------------------------- */
+// Donations keep amount, currency, dates and payment references so the books
+// still balance; only the donor's identity is removed (gifts *to* an erased
+// beneficiary keep their donor). Comments keep their text but lose their
+// author.
+export async function eraseSubject(records) {
+  const userIds = records.users.map((u) => u._id);
+  const userIdStrings = userIds.map(String);
+  const memberIds = records.members.map((m) => m._id);
+  const avatarUrls = [...records.users, ...records.members]
+    .map((r) => r.avatar)
+    .filter((url) => url && !url.startsWith("/"));
+
+  const emails = new Set(records.emails);
+  const donationIds = records.donations
+    .filter((d) => d.donorEmail && emails.has(d.donorEmail.toLowerCase()))
+    .map((d) => d._id);
+  const [donations, comments, likes, reactions, loginEvents, corrections, sessions, reports] = await Promise.all([
+    Donation.updateMany(
+      { _id: { $in: donationIds } },
+      { $set: { donorName: ERASED_NAME, donorEmail: null } }
+    ),
+    Comment.updateMany(
+      { ownerId: { $in: userIdStrings } },
+      { $set: { ownerId: ERASED_OWNER, "author.fullname": ERASED_NAME, "author.avatar": "/default-avatar.png" } }
+    ),
+    Like.deleteMany({ userId: { $in: userIdStrings } }),
+    Reaction.deleteMany({ userId: { $in: userIdStrings } }),
+    LoginEvent.deleteMany({ _id: { $in: records.loginEvents.map((e) => e._id) } }),
+    MemberCorrection.deleteMany({ _id: { $in: records.corrections.map((c) => c._id) } }),
+    Session.deleteMany({ userId: { $in: userIds } }),
+    CommentReport.deleteMany({ reporterId: { $in: userIdStrings } }),
+  ]);
+
+  const [invitations, auditLogsRedacted] = await Promise.all([
+    Invitation.deleteMany({ _id: { $in: records.invitations.map((i) => i._id) } }),
+    redactAuditLogs(records),
+    Invitation.updateMany({ invitedBy: { $in: userIds } }, { $set: { invitedByName: ERASED_NAME } }),
+  ]);
+
+  const reactedPosts = [...new Set(records.reactions.map((r) => String(r.postId)))];
+  if (reactedPosts.length > 0) await recountPostCounters(reactedPosts);
+
+  // 👻 Posts they authored stay up, credited to a deleted user
+  for (const user of records.users) {
+    user.fullname = ERASED_NAME;
+    user.avatar = "/default-avatar.png";
+    await syncAuthorProfile(user);
+  }
+
+  const [users, members] = await Promise.all([
+    User.deleteMany({ _id: { $in: userIds } }),
+    Member.deleteMany({ _id: { $in: memberIds } }),
+  ]);
+
+  let avatarFilesRemoved = 0;
+  for (const url of avatarUrls) {
+    const gcs = gcsPathFromUrl(url);
+    const rel = gcs ? null : extractUploadsRel(url);
+    const file = rel ? path.resolve(UPLOADS_ROOT, rel) : null;
+    try {
+      if (gcs) await deleteFirebaseFile(gcs);
+      else if (file && file.startsWith(UPLOADS_ROOT + path.sep)) await fs.unlink(file);
+      else continue;
+      avatarFilesRemoved += 1;
+    } catch (err) {
+      logger.warn("Privacy erasure: avatar not removed", { url, message: err?.message });
+    }
+  }
+
+  return {
+    usersDeleted: users.deletedCount || 0,
+    membersDeleted: members.deletedCount || 0,
+    donationsAnonymised: donations.modifiedCount || 0,
+    commentsAnonymised: comments.modifiedCount || 0,
+    likesDeleted: likes.deletedCount || 0,
+    reactionsDeleted: reactions.deletedCount || 0,
+    loginEventsDeleted: loginEvents.deletedCount || 0,
+    correctionsDeleted: corrections.deletedCount || 0,
+    sessionsDeleted: sessions.deletedCount || 0,
+    commentReportsDeleted: reports.deletedCount || 0,
+    invitationsDeleted: invitations.deletedCount || 0,
+    auditLogsRedacted,
+    avatarFilesRemoved,
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🧾 Audit trail — keep the entries, drop the person                         */
+/* -------------------------------------------------------------------------- */
+// Entries about the subject's own records lose every before/after value (they
+// can hold whole Member/User documents, health data included); entries they
+// merely took part in lose their identity. AuditLog refuses updates through
+// Mongoose, so erasure is the one writer that goes through the raw driver.
+function scrubIdentity(value, needles) {
+  if (typeof value === "string") {
+    const v = value.trim().toLowerCase();
+    return needles.exact.has(v) || needles.emails.some((e) => v.includes(e)) ? ERASED_VALUE : value;
+  }
+  if (Array.isArray(value)) return value.map((v) => scrubIdentity(v, needles));
+  if (value && typeof value === "object" && !(value instanceof Date) && !value._bsontype) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, scrubIdentity(v, needles)]));
+  }
+  return value;
+}
+
+async function redactAuditLogs(records) {
+  if (records.auditLogs.length === 0) return 0;
+  const emails = records.emails.map((e) => e.toLowerCase());
+  const needles = {
+    emails,
+    exact: new Set(
+      [
+        ...emails,
+        ...records.users.map((u) => u.fullname),
+        ...records.users.map((u) => u.phone),
+        ...records.members.map((m) => m.name),
+        ...records.members.map((m) => m.phone),
+      ]
+        .filter(Boolean)
+        .map((v) => String(v).trim().toLowerCase())
+    ),
+  };
+  const subjectTargets = new Set(
+    [...records.users, ...records.members, ...records.donations, ...records.corrections, ...records.invitations]
+      .map((r) => String(r._id))
+  );
+  const subjectIds = new Set(records.users.map((u) => String(u._id)));
+
+  const ops = records.auditLogs.map((entry) => {
+    const log = entry.toObject();
+    const $set = { meta: scrubIdentity(log.meta || {}, needles) };
+    $set.diff = subjectTargets.has(log.targetId)
+      ? Object.fromEntries(Object.keys(log.diff || {}).map((k) => [k, { from: ERASED_VALUE, to: ERASED_VALUE }]))
+      : scrubIdentity(log.diff || {}, needles);
+    if (subjectIds.has(log.actor?.id) || emails.includes(log.actor?.email)) {
+      Object.assign($set, { "actor.fullname": ERASED_NAME, "actor.email": "", ip: "", userAgent: "" });
+    }
+    if (subjectIds.has(log.impersonator?.id)) {
+      Object.assign($set, { "impersonator.fullname": ERASED_NAME, "impersonator.email": "" });
+    }
+    return { updateOne: { filter: { _id: log._id }, update: { $set } } };
+  });
+  const result = await AuditLog.collection.bulkWrite(ops);
+  return result.modifiedCount || 0;
+}
@@ -0,0 +1,65 @@
+import jwt from "jsonwebtoken";
+import Post from "../models/Post.js";
+import Comment from "../models/Comment.js";
+import { getJwtSecret } from "./session.js";
+import { sendMail, getFrontendBase, logDevLink } from "./mailer.js";
+
+/* -------------------------------------------------------------------------- */
+/* 🔄 Push name/avatar into denormalised copies on posts and comments         */
+/* -------------------------------------------------------------------------- */
+export async function syncAuthorProfile(user) {
+  const fullname = user.fullname;
+  const avatar = user.avatar || "/default-avatar.png";
+  const [posts, comments] = await Promise.all([
+    Post.updateMany(
+      { memberId: user._id },
+      { $set: { "member.fullname": fullname, "member.avatar": avatar } }
+    ),
+    Comment.updateMany(
+      { ownerId: String(user._id) },
+      { $set: { "author.fullname": fullname, "author.avatar": avatar } }
+    ),
+  ]);
+  return { posts: posts.modifiedCount || 0, comments: comments.modifiedCount || 0 };
+}
+
+/* -------------------------------------------------------------------------- */
+/* ✉️ Email change — confirmed from the new address                           */
+/* -------------------------------------------------------------------------- */
+// Bound to the current address so the link dies if the email changes again.
+export function signEmailChangeToken(user, newEmail) {
+  return jwt.sign(
+    { sub: String(user._id), from: user.email, to: newEmail, purpose: "change-email" },
+    getJwtSecret(),
+    { expiresIn: "1h" }
+  );
+}
+
+export function readEmailChangeToken(token) {
+  try {
+    const payload = jwt.verify(token, getJwtSecret());
+    if (payload.purpose !== "change-email") return null;
+    return { userId: payload.sub, from: payload.from, to: payload.to };
+  } catch {
+    return null;
+  }
+}
+
+export async function sendEmailChangeConfirmation(user, newEmail) {
+  const token = signEmailChangeToken(user, newEmail);
+  const confirmUrl = `${getFrontendBase()}/#/confirm-email-change/${token}`;
+  logDevLink("Email change confirmation link", confirmUrl);
+
+  await sendMail({
+    to: newEmail,
+    subject: "Confirm your new email address",
+    html: `
+      <p>Hello ${user.fullname},</p>
+      <p>We received a request to change the email on your United Link Foundation account to this address.</p>
+      <p><a href="${confirmUrl}" target="_blank">Click here to confirm the change</a></p>
+      <p>This link will expire in 1 hour.</p>
+      <br/>
+      <p>If you didn’t request this, you can safely ignore this email.</p>
+    `,
+  });
+}
@@ -0,0 +1,75 @@
+import Settings from "../models/Settings.js";
+import Reaction from "../models/Reaction.js";
+import Post from "../models/Post.js";
+import { REACTION_TYPES } from "../config/reactions.js";
+import { bumpReactionCount } from "./postCounters.js";
+
+export async function getEnabledReactions() {
+  const settings = await Settings.findOne().select("reactions").lean();
+  const enabled = settings?.reactions?.enabled;
+  return Array.isArray(enabled) && enabled.length > 0
+    ? REACTION_TYPES.filter((t) => enabled.includes(t))
+    : REACTION_TYPES;
+}
+
+/* -------------------------------------------------------------------------- */
+/* 📊 Counts per reaction + the visitor's own                                 */
+/* -------------------------------------------------------------------------- */
+// `visitorIds` lists every id the visitor may have reacted under (see
+// visitorIds() in routes/posts.js).
+export async function reactionSummary(postId, visitorIds, enabled) {
+  const [post, mine] = await Promise.all([
+    Post.findById(postId).select("reactionCounts").lean(),
+    Reaction.findOne({ postId, userId: { $in: visitorIds } }).select("type").lean(),
+  ]);
+  return summarizeReactions(post?.reactionCounts, mine?.type, enabled);
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🔁 Toggle — same reaction again removes it, a different one replaces it    */
+/* -------------------------------------------------------------------------- */
+// New reactions are stored under the first of `visitorIds`; older ones under
+// any of them are replaced. Post.reactionCounts follows along.
+export async function toggleReaction(postId, visitorIds, type) {
+  const existing = await removeVisitorReactions(postId, visitorIds);
+  if (existing.some((r) => r.type === type)) return null;
+
+  const [userId] = visitorIds;
+  try {
+    await Reaction.create({ postId, userId, type });
+  } catch (err) {
+    if (err?.code === 11000) return type; // a parallel request got there first
+    throw err;
+  }
+  await bumpReactionCount(postId, type, 1);
+  return type;
+}
+
+async function removeVisitorReactions(postId, visitorIds) {
+  const existing = await Reaction.find({ postId, userId: { $in: visitorIds } }).lean();
+  for (const r of existing) {
+    const { deletedCount } = await Reaction.deleteOne({ _id: r._id });
+    if (deletedCount) await bumpReactionCount(postId, r.type, -1);
+  }
+  return existing;
+}
+
+export async function removeReaction(postId, visitorIds) {
+  const existing = await removeVisitorReactions(postId, visitorIds);
+  return existing.length > 0;
+}
+
+// Counts come from the denormalised Post.reactionCounts, filtered to the
+// reactions currently on offer.
+export function summarizeReactions(reactionCounts, myReaction, enabled) {
+  const reactions = {};
+  let reactionsTotal = 0;
+  for (const type of enabled) {
+    const count = reactionCounts?.[type] || 0;
+    if (count > 0) {
+      reactions[type] = count;
+      reactionsTotal += count;
+    }
+  }
+  return { reactions, reactionsTotal, myReaction: enabled.includes(myReaction) ? myReaction : null };
+}
@@ -0,0 +1,153 @@
+import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import Session from "../models/Session.js";
+import User from "../models/User.js";
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+export function getJwtSecret() {
+  return process.env.JWT_SECRET || "dev-secret";
+}
+
+export function hashToken(raw) {
+  return crypto.createHash("sha256").update(String(raw)).digest("hex");
+}
+
+export function clientInfo(req) {
+  // req.ip honours the app's "trust proxy" setting; raw X-Forwarded-For is client-controlled
+  const ip = (req.ip || "").toString().trim();
+  const userAgent = (req.get("user-agent") || "").toString().slice(0, 300);
+  return { ip, userAgent };
+}
+
+export function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      id: user._id,
+      sid: sessionId,
+      role: user.role,
+      fullname: user.fullname,
+      email: user.email,
+    },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Refresh tokens look like "<sessionId>.<secret>" so the session can be found
+// without storing the secret itself.
+function newRefreshSecret() {
+  return crypto.randomBytes(48).toString("hex");
+}
+
+function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== "string") return null;
+  const [sessionId, secret] = refreshToken.split(".");
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) return null;
+  return { sessionId, secret };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🆕 Start a new session (login / register)                                  */
+/* -------------------------------------------------------------------------- */
+export async function createSession(user, req) {
+  const secret = newRefreshSecret();
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    ...clientInfo(req),
+  });
+
+  return {
+    session,
+    token: signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`,
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🔁 Rotate a refresh token                                                  */
+/* -------------------------------------------------------------------------- */
+// Returns null when the token is unknown, expired or revoked. Presenting an
+// already-rotated token revokes the whole session, since it means the token
+// has been copied.
+export async function rotateSession(refreshToken, req) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const session = await Session.findById(parsed.sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) return null;
+
+  const presented = Buffer.from(hashToken(parsed.secret));
+  const stored = Buffer.from(session.refreshTokenHash);
+  if (presented.length !== stored.length || !crypto.timingSafeEqual(presented, stored)) {
+    session.revokedAt = new Date();
+    session.revokedReason = "refresh-token-reuse";
+    await session.save();
+    return null;
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user || user.isActive === false) {
+    session.revokedAt = new Date();
+    session.revokedReason = user ? "user-deactivated" : "user-missing";
+    await session.save();
+    return null;
+  }
+
+  // 🔒 Swap only if the hash we checked is still current; when two requests
+  //    race with the same token, the loser is treated as reuse
+  const secret = newRefreshSecret();
+  const { ip, userAgent } = clientInfo(req);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+    { $set: { refreshTokenHash: hashToken(secret), lastUsedAt: new Date(), ip, userAgent } },
+    { new: true }
+  );
+  if (!rotated) {
+    await revokeSession(session._id, "refresh-token-reuse");
+    return null;
+  }
+
+  return {
+    session: rotated,
+    user,
+    token: signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`,
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🚫 Revocation                                                              */
+/* -------------------------------------------------------------------------- */
+export async function revokeSession(sessionId, reason = "logout") {
+  if (!sessionId) return;
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+}
+
+export async function revokeAllSessions(userId, reason = "logout-all") {
+  const result = await Session.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount || 0;
+}
+
+export async function revokeOtherSessions(userId, keepSessionId, reason = "logout-others") {
+  const result = await Session.updateMany(
+    { userId, revokedAt: null, ...(keepSessionId ? { _id: { $ne: keepSessionId } } : {}) },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount || 0;
+}
+
+export async function isSessionActive(sessionId) {
+  if (!sessionId) return false;
+  const session = await Session.findById(sessionId).select("revokedAt expiresAt").lean();
+  return !!session && !session.revokedAt && session.expiresAt > new Date();
+}
@@ -0,0 +1,49 @@
+import crypto from "crypto";
+import User from "../models/User.js";
+import logger from "./logger.js";
+
+/* =============================================================================
+   🧱 FIRST-RUN SETUP
+   -----------------------------------------------------------------------------
+   While no admin exists, POST /api/auth/setup accepts a one-time token taken
+   from SETUP_TOKEN or generated and printed at boot. It is cleared as soon as
+   the first admin is created.
+   ============================================================================= */
+let setupTokenHash = null;
+
+function hash(value) {
+  return crypto.createHash("sha256").update(String(value)).digest();
+}
+
+export async function isSetupRequired() {
+  return !(await User.exists({ role: "admin" }));
+}
+
+export async function initSetupToken() {
+  if (!(await isSetupRequired())) {
+    setupTokenHash = null;
+    return;
+  }
+
+  const fromEnv = (process.env.SETUP_TOKEN || "").trim();
+  const token = fromEnv || crypto.randomBytes(24).toString("hex");
+  setupTokenHash = hash(token);
+
+  if (fromEnv) {
+    logger.warn("No admin account exists — first-run setup is enabled using SETUP_TOKEN");
+  } else {
+    logger.warn(`No admin account exists — first-run setup token: ${token}`);
+  }
+}
+
+// Consumes the token on success so a second request cannot reuse it.
+export function consumeSetupToken(candidate) {
+  if (!setupTokenHash || typeof candidate !== "string" || !candidate) return false;
+  const matches = crypto.timingSafeEqual(hash(candidate), setupTokenHash);
+  if (matches) setupTokenHash = null;
+  return matches;
+}
+
+export function isSetupTokenActive() {
+  return !!setupTokenHash;
+}
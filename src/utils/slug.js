@@ -0,0 +1,11 @@
+// "Outreach Reports & Updates" -> "outreach-reports-updates"
+export function slugify(text, maxLength = 80) {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, maxLength)
+    .replace(/-+$/g, "");
+}
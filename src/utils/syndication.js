@@ -0,0 +1,201 @@
+import path from "path";
+import { buildSeo, postPermalink } from "./postSeo.js";
+
+/* =============================================================================
+   📡 SYNDICATION — RSS 2.0, Atom 1.0 and JSON Feed 1.1 for published posts
+   ============================================================================= */
+export const FEED_FORMATS = {
+  rss: "application/rss+xml; charset=utf-8",
+  atom: "application/atom+xml; charset=utf-8",
+  json: "application/feed+json; charset=utf-8",
+};
+
+const SITE_NAME = "United Link Foundation";
+
+/* -------------------------------------------------------------------------- */
+/* 🎞️ Enclosure MIME types, from the file extension                           */
+/* -------------------------------------------------------------------------- */
+const MIME_BY_EXT = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".svg": "image/svg+xml",
+  ".mp4": "video/mp4",
+  ".m4v": "video/x-m4v",
+  ".mov": "video/quicktime",
+  ".webm": "video/webm",
+  ".avi": "video/x-msvideo",
+};
+
+// Firebase download URLs keep the object path URL-encoded before "?alt=media"
+export function mediaMimeType(url, type) {
+  let pathname = String(url || "");
+  try {
+    pathname = decodeURIComponent(new URL(pathname, "http://localhost").pathname);
+  } catch {}
+  const mime = MIME_BY_EXT[path.extname(pathname).toLowerCase()];
+  if (mime) return mime;
+  return type === "video" || /\/videos?\//.test(pathname) ? "video/mp4" : "image/jpeg";
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🧱 Normalised entries shared by every format                               */
+/* -------------------------------------------------------------------------- */
+// `media` must already hold absolute URLs.
+export function feedEntry(post, media) {
+  const seo = buildSeo({ ...post, imageUrls: media });
+  const url = seo.canonicalUrl || postPermalink(String(post._id));
+  const enclosures = media
+    .map((m) => ({ url: m?.full || m?.thumb, type: m?.type }))
+    .filter((m) => m.url)
+    .map((m) => ({ url: m.url, type: mediaMimeType(m.url, m.type) }));
+  return {
+    // Keyed on _id, not the slug, so readers don't resurface a post whose
+    // slug changed
+    id: postPermalink(String(post._id)),
+    url,
+    title: seo.title,
+    summary: seo.metaDescription,
+    contentHtml: post.content || "",
+    image: post.seo?.socialImage || enclosures.find((m) => m.type.startsWith("image/"))?.url || null,
+    published: new Date(post.publishedAt || post.createdAt),
+    updated: new Date(post.updatedAt || post.publishedAt || post.createdAt),
+    author: post.member?.fullname || SITE_NAME,
+    categories: [post.category?.name, ...(post.tags || [])].filter(Boolean),
+    enclosures,
+  };
+}
+
+// { title, description, homeUrl, feedUrl, updated } for the whole feed
+export function feedChannel({ category, tag, homeUrl, feedUrl, entries }) {
+  const scope = category?.name || (tag ? `#${tag}` : null);
+  const updated = entries.reduce((latest, e) => (e.updated > latest ? e.updated : latest), new Date(0));
+  return {
+    title: scope ? `${SITE_NAME} — ${scope}` : `${SITE_NAME} — News`,
+    description: category?.description || `Latest news and updates from ${SITE_NAME}`,
+    homeUrl,
+    feedUrl,
+    updated: entries.length > 0 ? updated : new Date(),
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🖨️ Renderers                                                               */
+/* -------------------------------------------------------------------------- */
+function xml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function cdata(text) {
+  return `<![CDATA[${String(text ?? "").replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+}
+
+const mediaMedium = (type) => (type.startsWith("video/") ? "video" : "image");
+
+export function renderRss(channel, entries) {
+  const items = entries.map((e) => {
+    // RSS allows a single <enclosure>; Media RSS carries the full set
+    const [first] = e.enclosures;
+    return [
+      "    <item>",
+      `      <title>${xml(e.title)}</title>`,
+      `      <link>${xml(e.url)}</link>`,
+      `      <guid isPermaLink="false">${xml(e.id)}</guid>`,
+      `      <pubDate>${e.published.toUTCString()}</pubDate>`,
+      `      <dc:creator>${xml(e.author)}</dc:creator>`,
+      ...e.categories.map((c) => `      <category>${xml(c)}</category>`),
+      `      <description>${xml(e.summary)}</description>`,
+      `      <content:encoded>${cdata(e.contentHtml)}</content:encoded>`,
+      ...(first ? [`      <enclosure url="${xml(first.url)}" type="${xml(first.type)}" length="0"/>`] : []),
+      ...e.enclosures.map(
+        (m) => `      <media:content url="${xml(m.url)}" type="${xml(m.type)}" medium="${mediaMedium(m.type)}"/>`
+      ),
+      "    </item>",
+    ].join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">',
+    "  <channel>",
+    `    <title>${xml(channel.title)}</title>`,
+    `    <link>${xml(channel.homeUrl)}</link>`,
+    `    <description>${xml(channel.description)}</description>`,
+    `    <atom:link href="${xml(channel.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    `    <lastBuildDate>${channel.updated.toUTCString()}</lastBuildDate>`,
+    "    <language>en</language>",
+    ...items,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+}
+
+export function renderAtom(channel, entries) {
+  const items = entries.map((e) =>
+    [
+      "  <entry>",
+      `    <id>${xml(e.id)}</id>`,
+      `    <title>${xml(e.title)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${xml(e.url)}"/>`,
+      `    <published>${e.published.toISOString()}</published>`,
+      `    <updated>${e.updated.toISOString()}</updated>`,
+      `    <author><name>${xml(e.author)}</name></author>`,
+      ...e.categories.map((c) => `    <category term="${xml(c)}"/>`),
+      `    <summary>${xml(e.summary)}</summary>`,
+      `    <content type="html">${xml(e.contentHtml)}</content>`,
+      ...e.enclosures.map((m) => `    <link rel="enclosure" type="${xml(m.type)}" href="${xml(m.url)}"/>`),
+      "  </entry>",
+    ].join("\n")
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${xml(channel.feedUrl)}</id>`,
+    `  <title>${xml(channel.title)}</title>`,
+    `  <subtitle>${xml(channel.description)}</subtitle>`,
+    `  <link rel="self" type="application/atom+xml" href="${xml(channel.feedUrl)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${xml(channel.homeUrl)}"/>`,
+    `  <updated>${channel.updated.toISOString()}</updated>`,
+    ...items,
+    "</feed>",
+    "",
+  ].join("\n");
+}
+
+export function renderJsonFeed(channel, entries) {
+  return JSON.stringify({
+    version: "https://jsonfeed.org/version/1.1",
+    title: channel.title,
+    description: channel.description,
+    home_page_url: channel.homeUrl,
+    feed_url: channel.feedUrl,
+    language: "en",
+    items: entries.map((e) => ({
+      id: e.id,
+      url: e.url,
+      title: e.title,
+      summary: e.summary,
+      content_html: e.contentHtml,
+      ...(e.image && { image: e.image }),
+      date_published: e.published.toISOString(),
+      date_modified: e.updated.toISOString(),
+      authors: [{ name: e.author }],
+      tags: e.categories,
+      ...(e.enclosures.length > 0 && {
+        attachments: e.enclosures.map((m) => ({ url: m.url, mime_type: m.type })),
+      }),
+    })),
+  });
+}
+
+export const FEED_RENDERERS = { rss: renderRss, atom: renderAtom, json: renderJsonFeed };
@@ -0,0 +1,58 @@
+/* =============================================================================
+   🔀 WORD-LEVEL TEXT DIFF (longest common subsequence)
+   -----------------------------------------------------------------------------
+   Returns [{ op: "equal" | "insert" | "delete", text }] with adjacent chunks of
+   the same kind merged. Very large inputs fall back to a single replace.
+   ============================================================================= */
+const MAX_CELLS = 4_000_000;
+
+function tokenize(text) {
+  return String(text || "").match(/\s+|[^\s]+/g) || [];
+}
+
+function push(out, op, text) {
+  const last = out[out.length - 1];
+  if (last && last.op === op) last.text += text;
+  else out.push({ op, text });
+}
+
+export function diffText(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  if (a.length * b.length > MAX_CELLS) {
+    const out = [];
+    if (a.length) out.push({ op: "delete", text: a.join("") });
+    if (b.length) out.push({ op: "insert", text: b.join("") });
+    return out;
+  }
+
+  // lcs[i][j] = LCS length of a[i..] and b[j..]
+  const cols = b.length + 1;
+  const lcs = new Uint32Array((a.length + 1) * cols);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * cols + j] =
+        a[i] === b[j]
+          ? lcs[(i + 1) * cols + j + 1] + 1
+          : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+    }
+  }
+
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push(out, "equal", a[i]);
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+      push(out, "delete", a[i++]);
+    } else {
+      push(out, "insert", b[j++]);
+    }
+  }
+  while (i < a.length) push(out, "delete", a[i++]);
+  while (j < b.length) push(out, "insert", b[j++]);
+  return out;
+}
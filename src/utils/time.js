@@ -0,0 +1,56 @@
+/* =============================================================================
+   🕰️ FOUNDATION TIME ZONE HELPERS
+   -----------------------------------------------------------------------------
+   Staff enter dates as Lagos wall-clock time; everything is stored in UTC.
+   ============================================================================= */
+export const FOUNDATION_TIMEZONE = process.env.FOUNDATION_TIMEZONE || "Africa/Lagos";
+
+// Offset of `timeZone` from UTC at the given instant, in milliseconds.
+function zoneOffsetMs(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Accepts ISO strings. Values with an explicit offset or "Z" are taken as-is;
+// bare "2025-03-01T09:00" is read as wall-clock time in the foundation's zone.
+// Returns null for anything unparseable.
+export function parseZonedDateTime(value, timeZone = FOUNDATION_TIMEZONE) {
+  if (value instanceof Date) return isNaN(value) ? null : value;
+  if (typeof value !== "string" || !value.trim()) return null;
+  const str = value.trim();
+
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(str)) {
+    const d = new Date(str);
+    return isNaN(d) ? null : d;
+  }
+
+  const m = str.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (!m) return null;
+  const [, y, mo, d, h = "00", mi = "00", s = "00"] = m;
+  const guess = Date.UTC(+y, +mo - 1, +d, +h, +mi, +s);
+  const result = new Date(guess - zoneOffsetMs(new Date(guess), timeZone));
+  return isNaN(result) ? null : result;
+}
+
+export function formatZoned(date, timeZone = FOUNDATION_TIMEZONE) {
+  if (!date) return null;
+  return new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    dateStyle: "medium",
+    timeStyle: "short",
+  }).format(new Date(date));
+}
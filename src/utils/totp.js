@@ -0,0 +1,114 @@
+import crypto from "crypto";
+
+/* =============================================================================
+   🔢 TOTP (RFC 6238) — HMAC-SHA1, 30-second steps, 6 digits
+   ============================================================================= */
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+export function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+export function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/=+$/, "").replace(/\s+/g, "");
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function hotp(key, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", key).update(msg).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+export function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+export function generateTotp(secret, step = currentStep()) {
+  return hotp(base32Decode(secret), step);
+}
+
+// Returns the matching time step (so callers can refuse replays) or null.
+export function verifyTotp(secret, code, { window = 1, now = Date.now() } = {}) {
+  const candidate = String(code || "").replace(/\s+/g, "");
+  if (!/^\d{6}$/.test(candidate) || !secret) return null;
+  const key = base32Decode(secret);
+  const step = currentStep(now);
+  for (let drift = -window; drift <= window; drift++) {
+    const expected = hotp(key, step + drift);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step + drift;
+    }
+  }
+  return null;
+}
+
+export function buildOtpAuthUri({ secret, account, issuer = "United Link Foundation" }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🧯 Single-use recovery codes (only hashes are stored)                      */
+/* -------------------------------------------------------------------------- */
+export function normalizeRecoveryCode(code) {
+  return String(code || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+export function hashRecoveryCode(code) {
+  return crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+}
+
+export function generateRecoveryCodes(count = 10) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString("hex");
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return codes;
+}
@@ -0,0 +1,59 @@
+import jwt from "jsonwebtoken";
+import Settings from "../models/Settings.js";
+import { getJwtSecret } from "./session.js";
+import { verifyTotp, hashRecoveryCode } from "./totp.js";
+
+/* -------------------------------------------------------------------------- */
+/* 🛡️ Policy — is 2FA mandatory for this account?                             */
+/* -------------------------------------------------------------------------- */
+export async function isTwoFactorRequired(user) {
+  if (!user || user.role !== "admin") return false;
+  const settings = await Settings.findOne().select("security").lean();
+  return !!settings?.security?.requireAdminTwoFactor;
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🎟️ Short-lived challenge issued between the password and code steps        */
+/* -------------------------------------------------------------------------- */
+export function signTwoFactorChallenge(user) {
+  return jwt.sign(
+    { sub: String(user._id), purpose: "2fa-login" },
+    getJwtSecret(),
+    { expiresIn: "5m" }
+  );
+}
+
+export function readTwoFactorChallenge(token) {
+  try {
+    const payload = jwt.verify(token, getJwtSecret());
+    return payload.purpose === "2fa-login" ? payload.sub : null;
+  } catch {
+    return null;
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* ✅ Check a TOTP code or recovery code                                      */
+/* -------------------------------------------------------------------------- */
+// Mutates the user (last used step / spent recovery code); the caller saves.
+export function consumeSecondFactor(user, { code, recoveryCode } = {}) {
+  const tf = user.twoFactor;
+  if (!tf?.enabled || !tf.secret) return false;
+
+  if (code) {
+    const step = verifyTotp(tf.secret, code);
+    if (step === null || step <= (tf.lastUsedStep || 0)) return false;
+    tf.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hashed = hashRecoveryCode(recoveryCode);
+    const idx = (tf.recoveryCodes || []).indexOf(hashed);
+    if (idx === -1) return false;
+    tf.recoveryCodes.splice(idx, 1);
+    return true;
+  }
+
+  return false;
+}